@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Benchmark for very large monorepos: generates a synthetic tree of projects (package.json and
+ * package-lock.json files, workspaces, a symlink cycle) with a local advisory feed, and times a
+ * recursive scan of it with scan.js.
+ *
+ *   node benchmark.js [--projects 3000] [--deps 40] [--workers <n>] [--dir <dir>] [--keep]
+ *
+ * The tree is generated in a temporary directory that is removed afterwards, unless --keep is
+ * given; a --dir is never removed.
+ *
+ * No external dependencies. The tree is the same on every run, so runs can be compared.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scan } = require('./scan.js');
+
+const PACKAGE_NAMES = 2000;
+const COMPROMISED_PACKAGES = 300;
+
+// Small seeded PRNG (mulberry32)
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function packageName(index) {
+  return index % 5 === 0 ? `@bench/lib-${index}` : `bench-pkg-${index}`;
+}
+
+// OSV records: most list exact versions, some an affected range
+function writeAdvisoryFeed(file, random) {
+  const records = [];
+  for (let i = 0; i < COMPROMISED_PACKAGES; i++) {
+    const name = packageName(Math.floor(random() * PACKAGE_NAMES));
+    const affected = { package: { ecosystem: 'npm', name } };
+    if (i % 10 === 0) {
+      affected.ranges = [{ type: 'SEMVER', events: [{ introduced: '1.0.20' }, { fixed: '1.0.22' }] }];
+    } else {
+      affected.versions = [`1.0.${Math.floor(random() * 30)}`];
+    }
+    records.push({ id: `MAL-BENCH-${i}`, affected: [affected] });
+  }
+  fs.writeFileSync(file, JSON.stringify(records));
+}
+
+function writeProject(dir, name, random, deps, workspaces = null) {
+  fs.mkdirSync(dir, { recursive: true });
+  const dependencies = {};
+  const packages = { '': { name, version: '1.0.0', dependencies } };
+  for (let i = 0; i < deps; i++) {
+    const dep = packageName(Math.floor(random() * PACKAGE_NAMES));
+    dependencies[dep] = '^1.0.0';
+    packages[`node_modules/${dep}`] = { version: `1.0.${Math.floor(random() * 30)}` };
+    // Transitive dependencies, some nested
+    for (let j = 0; j < 3; j++) {
+      const transitive = packageName(Math.floor(random() * PACKAGE_NAMES));
+      const lockPath = j === 2 ? `node_modules/${dep}/node_modules/${transitive}` : `node_modules/${transitive}`;
+      packages[lockPath] = { version: `1.0.${Math.floor(random() * 30)}` };
+    }
+  }
+  const manifest = { name, version: '1.0.0', dependencies };
+  if (workspaces) manifest.workspaces = workspaces;
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(manifest, null, 2));
+  fs.writeFileSync(path.join(dir, 'package-lock.json'), JSON.stringify({ name, version: '1.0.0', lockfileVersion: 3, packages }, null, 2));
+}
+
+// apps/app-N and packages/group-G/lib-N projects, one monorepo with workspaces, a
+// node_modules directory that must be skipped and a symlink back to the root
+function generateTree(rootDir, { projects, deps }) {
+  const random = createRandom(42);
+  fs.mkdirSync(rootDir, { recursive: true });
+  writeAdvisoryFeed(path.join(rootDir, 'advisories.osv.json'), random);
+  const tree = path.join(rootDir, 'tree');
+  writeProject(tree, 'bench-root', random, deps);
+  writeProject(path.join(tree, 'monorepo'), 'bench-monorepo', random, deps, ['packages/*']);
+  for (let i = 0; i < projects; i++) {
+    const dir = i % 4 === 0
+      ? path.join(tree, 'apps', `app-${i}`)
+      : i % 4 === 1
+        ? path.join(tree, 'monorepo', 'packages', `member-${i}`)
+        : path.join(tree, 'packages', `group-${i % 50}`, `lib-${i}`);
+    writeProject(dir, `bench-project-${i}`, random, deps);
+  }
+  writeProject(path.join(tree, 'apps', 'app-0', 'node_modules', 'ignored'), 'ignored', random, 1);
+  try {
+    fs.symlinkSync(tree, path.join(tree, 'packages', 'loop'), 'dir');
+  } catch (e) {
+    console.warn(`Could not create the symlink cycle: ${e.message}`);
+  }
+  return tree;
+}
+
+function getArgValue(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index >= 0 && args.length > index + 1 ? args[index + 1] : fallback;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const projects = Number(getArgValue(args, '--projects', 3000));
+  const deps = Number(getArgValue(args, '--deps', 40));
+  const workers = getArgValue(args, '--workers', undefined);
+  // A generated temporary directory is removed afterwards, a directory given with --dir is kept
+  const keep = args.includes('--keep') || args.includes('--dir');
+  const rootDir = getArgValue(args, '--dir', null) || fs.mkdtempSync(path.join(os.tmpdir(), 'worm-bench-'));
+
+  console.log(`Generating ${projects} projects with ${deps} dependencies each in ${rootDir}...`);
+  let start = process.hrtime.bigint();
+  const tree = generateTree(rootDir, { projects, deps });
+  console.log(`Generated in ${Number(process.hrtime.bigint() - start) / 1e6} ms`);
+
+  start = process.hrtime.bigint();
+  const report = await scan({
+    dir: tree,
+    recursive: true,
+    offline: true,
+    cache: path.join(rootDir, 'advisories-cache.json'),
+    sources: [{ name: 'bench', path: path.join(rootDir, 'advisories.osv.json'), type: 'osv' }],
+    workers: workers === undefined ? undefined : Number(workers)
+  });
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  console.log(`Scanned ${report.summary.totalProjects} projects in ${ms.toFixed(0)} ms ` +
+    `(${(report.summary.totalProjects / (ms / 1000)).toFixed(0)} projects/s)`);
+  console.log(`Findings: ${report.summary.totalFindings} in ${report.summary.compromisedProjects} project(s), scan errors: ${report.summary.scanErrors}`);
+  console.log(`Peak memory: ${(process.resourceUsage().maxRSS / 1024).toFixed(0)} MB`);
+
+  if (keep) {
+    console.log(`Kept ${rootDir}`);
+  } else {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(e => {
+  console.error(e.stack || e.message);
+  process.exit(1);
+});
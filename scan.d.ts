@@ -0,0 +1,451 @@
+// Type declarations for using scan.js as a library: const { scan } = require('./scan.js');
+
+/** Map of package name to compromised versions (or version ranges from OSV/GHSA feeds). */
+export type CompromisedPackages = Record<string, string[]>;
+
+/** Finding classes from least to most severe. */
+export type Severity = 'range-could-resolve' | 'locked' | 'confirmed-installed' | 'ioc';
+
+export type FailOn = Severity | 'range' | 'installed' | 'none';
+
+export interface AdvisorySource {
+  /** Identifier; a configured source with the name of an existing source overrides it. */
+  name?: string;
+  url?: string;
+  /** Local file, read even when offline. */
+  path?: string;
+  /** Parser name: generic, wiz, stepsecurity, ox, github, osv, ghsa or a registered parser. */
+  type?: string;
+  enabled?: boolean;
+  weight?: number;
+  maliciousOnly?: boolean;
+  /** Share of packages a source may lose before it is considered degraded (default 0.2). */
+  maxDrop?: number;
+  /** Largest accepted response body in bytes. */
+  maxBytes?: number;
+}
+
+export interface SourceDrift {
+  fingerprint: { packages: number; versions: number; sha256: string };
+  previousFingerprint: { packages: number; versions: number; sha256: string } | null;
+  changed: boolean;
+  packageCount: number;
+  previousCount: number | null;
+  added: string[];
+  removed: string[];
+  degraded: boolean;
+  reasons: string[];
+}
+
+export interface SourceStatus {
+  name: string | null;
+  url: string;
+  type: string;
+  weight: number;
+  status: 'fetched' | 'cached' | 'degraded' | 'failed';
+  fetchedAt: string | null;
+  parser?: string;
+  error: string | null;
+  drift?: SourceDrift;
+  packageCount: number;
+}
+
+export interface Provenance {
+  source: string | null;
+  url: string;
+  parser: string;
+}
+
+export interface Suppression {
+  reason: string;
+  expires: string;
+  expired?: boolean;
+}
+
+export interface Finding {
+  pkg: string;
+  /** Declared range, locked version or installed version. */
+  version: string;
+  matchedVersion: string;
+  section: string;
+  /** File the finding came from, relative to the project (or the --system location). */
+  file?: string;
+  /** Tarball URL of an npm cache entry. */
+  key?: string;
+  line?: number;
+  /** Path of the entry inside package-lock.json. */
+  lockPath?: string;
+  importers?: string[];
+  /** Dependency chains from the project (or workspace) to the package, shortest first. */
+  paths?: string[][];
+  pathsTruncated?: boolean;
+  workspaces?: string[];
+  severity: Severity;
+  suppression?: Suppression;
+  /** URLs of the advisory sources that listed the matched version. */
+  sources: string[];
+  provenance: Provenance[];
+  /** 0..1, based on how many independent sources and parsers agree. */
+  confidence: number;
+  /** Set for indicators of compromise found in installed packages. */
+  type?: 'ioc';
+  indicator?: string;
+  /** SBOM findings: the component's bom-ref (CycloneDX) or SPDXID (SPDX), or its purl if it has neither. */
+  component?: string;
+  purl?: string;
+}
+
+export interface WorkspaceVerdict {
+  name: string;
+  path: string;
+  findings: number;
+  verdict: 'compromised' | 'clean';
+}
+
+export type SbomFormat = 'cyclonedx-json' | 'cyclonedx-xml' | 'spdx-json' | 'spdx-tag-value';
+
+export interface Project {
+  path: string;
+  name: string;
+  /** Active findings. */
+  findings: Finding[];
+  suppressed: Finding[];
+  errors: string[];
+  workspaces?: WorkspaceVerdict[];
+  verdict?: 'compromised' | 'clean';
+  /** Set when the project is an SBOM document; path is its directory. */
+  sbom?: { file: string; format: SbomFormat | null; specVersion: string | null; components: number };
+}
+
+export interface Policy {
+  failOn: Severity | 'none';
+  failOnAdvisoryErrors: boolean;
+  minConfidence: number;
+}
+
+export interface FixChange {
+  pkg: string;
+  from: string[];
+  to: string;
+  manager: 'npm' | 'yarn' | 'pnpm';
+  field: string;
+  value: string;
+}
+
+export interface Fix {
+  project: string;
+  file: string;
+  changes: FixChange[];
+  skipped: { pkg: string | null; reason: string }[];
+  diff: string;
+  applied: boolean;
+}
+
+export interface Revision {
+  commit: string;
+  /** Committer date (ISO 8601). */
+  date: string;
+  subject: string;
+}
+
+/** A compromised version locked in some revisions of a lockfile on the current branch. */
+export interface HistoricalExposure {
+  pkg: string;
+  version: string;
+  matchedVersion: string;
+  /** Lockfile path relative to the scanned directory. */
+  lockfile: string;
+  severity: 'locked';
+  introducedIn: Revision;
+  /** The commit that removed the version, or null if it is still locked. */
+  removedIn: Revision | null;
+  stillLocked: boolean;
+  /** Already locked in the last commit before `since`. */
+  lockedBeforeSince?: boolean;
+  sources: string[];
+  provenance: Provenance[];
+  confidence: number;
+}
+
+export interface GitHistory {
+  since: string | null;
+  branch: string;
+  commitsScanned: number;
+  exposures: HistoricalExposure[];
+  errors: string[];
+}
+
+export interface TriageFinding {
+  kind: 'workflow' | 'branch' | 'remote' | 'commit';
+  severity: 'ioc';
+  indicators: string[];
+  /** Workflow file (workflow, commit). */
+  file?: string;
+  /** Branch or remote name. */
+  ref?: string;
+  url?: string;
+  commit?: string;
+  date?: string;
+  author?: string;
+  subject?: string;
+}
+
+/** A credential the machine holds; tokens are masked and never reported in full. */
+export interface TriageCredential {
+  kind: 'config' | 'env' | 'file';
+  service: string;
+  /** File and line, environment variable ($NAME) or credentials file. */
+  location: string;
+  registry?: string;
+  token?: string;
+}
+
+export interface Triage {
+  repositories: { path: string; findings: TriageFinding[] }[];
+  credentials: TriageCredential[];
+  checklist: string[];
+}
+
+export interface LockedPackage {
+  name: string;
+  version: string;
+}
+
+/** Changes between the base and head revision of one lockfile. */
+export interface LockfileDiff {
+  /** Lockfile in the scanned directory. */
+  file: string;
+  /** Base lockfile, or <ref>:<file> for diffRef. */
+  base: string;
+  /** installScript is null when neither the lockfile nor node_modules tell. */
+  added: (LockedPackage & { installScript: boolean | null })[];
+  /** introduced lists the versions in to that from does not have. */
+  changed: { name: string; from: string[]; to: string[]; introduced: { version: string; installScript: boolean | null }[] }[];
+  removed: LockedPackage[];
+  /** Added packages and new versions of changed ones that run a preinstall, install or postinstall script. */
+  installScripts: LockedPackage[];
+  /** New packages and versions whose install scripts neither the lockfile nor node_modules record; reported, never failing. */
+  unknownInstallScripts: LockedPackage[];
+  /** Compromised versions the head lockfile locks and the base did not. */
+  findings: Finding[];
+  suppressed: Finding[];
+}
+
+export interface Diff {
+  /** The diff file or diffRef. */
+  base: string;
+  lockfiles: LockfileDiff[];
+  errors: string[];
+}
+
+/** An npm cache, npx install, global install directory or package store on this machine. */
+export interface SystemLocation {
+  kind: 'npm-cache' | 'npx' | 'npm-global' | 'yarn-global' | 'yarn-cache' | 'pnpm-global' | 'pnpm-store';
+  /** The cache directory, or the directory containing node_modules. */
+  path: string;
+  /** Number of package versions in a cache or store. */
+  entries?: number;
+  findings: Finding[];
+}
+
+export interface SystemScan {
+  locations: SystemLocation[];
+  errors: string[];
+  /** Steps that remove the compromised packages from this machine. */
+  cleanup: string[];
+}
+
+export interface Report {
+  generatedAt: string;
+  root: string;
+  advisories: { totalPackages: number; sources: SourceStatus[] };
+  policy: Policy;
+  projects: Project[];
+  summary: {
+    totalProjects: number;
+    compromisedProjects: number;
+    cleanProjects: number;
+    scanErrors: number;
+    totalFindings: number;
+    /** Findings that fail the scan under policy.failOn: in projects, history, diff (with new install scripts), system and triage. */
+    failingFindings: number;
+    suppressedFindings: number;
+    historicalExposures?: number;
+    introducedFindings?: number;
+    newInstallScripts?: number;
+    unknownInstallScripts?: number;
+    systemFindings?: number;
+    triageFindings?: number;
+  };
+  fixes?: Fix[];
+  history?: GitHistory;
+  /** Set in diff mode, which does not scan projects (projects is empty). */
+  diff?: Diff;
+  system?: SystemScan;
+  triage?: Triage;
+  /** The exit code the CLI uses for this report (see EXIT_CODES). */
+  exitCode: number;
+}
+
+export type ProgressEvent =
+  | { type: 'log'; level: 'info' | 'warn' | 'error'; message: string }
+  | { type: 'source'; source: SourceStatus }
+  | { type: 'advisories'; totalPackages: number; sources: SourceStatus[] }
+  | { type: 'project'; project: Project };
+
+export interface HttpOptions {
+  /** Extra trusted CA certificates (PEM), in addition to Node's built-in roots. */
+  ca?: string | Buffer | Array<string | Buffer>;
+  timeout?: number;
+  retries?: number;
+  maxRedirects?: number;
+  maxBytes?: number;
+}
+
+export interface ScanOptions {
+  /** Directory to scan (default "."). */
+  dir?: string;
+  /** Scan every project below dir. */
+  recursive?: boolean;
+  /** Globs (relative to dir) of directories the recursive search skips. */
+  exclude?: string[];
+  /** Directory levels below dir the recursive search descends (default 32). */
+  maxDepth?: number;
+  /** Worker threads for projects and workspace members (default: the number of CPUs, at most 8; 1 scans inline). */
+  workers?: number;
+  /** Config file with sources and policy (default .wormscanrc.json in the working directory). */
+  config?: string;
+  /** Additional source list, like --sources. */
+  sourcesFile?: string;
+  /** Sources to use instead of the built-in and configured ones. */
+  sources?: AdvisorySource[];
+  /** Advisory database file. */
+  cache?: string;
+  offline?: boolean;
+  refresh?: boolean;
+  /** Maximum age of cached sources, in milliseconds or as a duration such as "12h". */
+  maxAge?: number | string | null;
+  http?: HttpOptions;
+  /** Also check node_modules, including indicators of compromise. */
+  installed?: boolean;
+  iocFile?: string | null;
+  /** Suppressions file (default .wormscanignore.json in dir). */
+  ignoreFile?: string | null;
+  failOn?: FailOn | null;
+  minConfidence?: number | null;
+  /** Write overrides for compromised packages, or only plan them with 'dry-run'. */
+  fix?: boolean | 'dry-run';
+  /** Registry metadata for fix: a directory or JSON file of packuments, or an npm cache. */
+  packuments?: string | null;
+  /** Also replay the lockfile history of the git repository containing dir. */
+  gitHistory?: boolean;
+  /** Only replay commits after this date (e.g. "2025-09-01"); for triage, inspect workflows added since then instead of in the last 90 days. */
+  since?: string | null;
+  /** Only report what the lockfiles of dir introduce compared with this base lockfile. */
+  diff?: string | null;
+  /** Like diff, with the lockfiles of dir at a git revision (e.g. "origin/main") as the base. */
+  diffRef?: string | null;
+  /** Scan these CycloneDX or SPDX documents instead of dir. */
+  sbom?: string | string[] | null;
+  /** Also check the npm cache, npx installs and the global packages and stores of npm, yarn and pnpm. */
+  system?: boolean;
+  /** Inspect the scanned repositories and this machine's credentials for post-infection artefacts. */
+  triage?: boolean;
+  onProgress?: (event: ProgressEvent) => void;
+}
+
+export interface SourceHealth {
+  generatedAt: string;
+  cacheFile: string;
+  healthy: boolean;
+  sources: SourceStatus[];
+}
+
+/** Errors from scan() and checkSources() carry the CLI's exit code. */
+export interface ScanError extends Error {
+  exitCode: number;
+}
+
+export function scan(options?: ScanOptions): Promise<Report>;
+export function checkSources(
+  options?: Pick<ScanOptions, 'config' | 'sourcesFile' | 'sources' | 'cache' | 'http' | 'onProgress'>
+): Promise<SourceHealth>;
+export function getExitCode(report: Report): number;
+
+export const EXIT_CODES: { clean: 0; compromised: 1; scanError: 2; advisoryFailure: 3 };
+export const SEVERITY_CLASSES: Severity[];
+export const ADVISORY_SOURCES: AdvisorySource[];
+
+// Advisories
+export function fetchURL(url: string, timeout?: number, options?: HttpOptions & { binary?: false }): Promise<string>;
+export function fetchURL(url: string, timeout: number | undefined, options: HttpOptions & { binary: true }): Promise<Buffer>;
+export function fetchCompromisedPackages(options?: {
+  cacheFile?: string;
+  offline?: boolean;
+  refresh?: boolean;
+  maxAge?: number | null;
+  sources?: AdvisorySource[];
+  http?: HttpOptions;
+}): Promise<{
+  compromised: CompromisedPackages;
+  provenance: Record<string, Record<string, { name: string | null; url: string; parser: string; weight: number }[]>>;
+  confidence: Record<string, Record<string, number>>;
+  sources: SourceStatus[];
+}>;
+export function loadAdvisorySources(options?: { configFile?: string | null; sourcesFile?: string | null }): AdvisorySource[];
+export type AdvisoryParser = (document: string | Buffer, source: AdvisorySource) => Record<string, Iterable<string>>;
+export function registerParser(name: string, parse: AdvisoryParser, options?: { binary?: boolean }): void;
+export function parseAdvisory(source: AdvisorySource, raw: Buffer): { parser: string; packages: Record<string, Set<string>> };
+export const parsers: {
+  generic: (html: string) => Record<string, Set<string>>;
+  wiz: (html: string) => Record<string, Set<string>>;
+  stepsecurity: (html: string) => Record<string, Set<string>>;
+  ox: (html: string) => Record<string, Set<string>>;
+  github: (html: string) => Record<string, Set<string>>;
+  osv: (content: string | Buffer, source?: AdvisorySource) => Record<string, Set<string>>;
+  ghsa: (content: string, source?: AdvisorySource) => Record<string, Set<string>>;
+};
+
+// Version matching
+export interface SemVer {
+  major: number;
+  minor: number;
+  patch: number;
+  prerelease: Array<string | number>;
+}
+export function parseVersion(version: string): SemVer | null;
+export function parseRange(range: string): unknown;
+export function satisfiesRange(range: string, version: string, options?: { includePrerelease?: boolean }): boolean;
+export function rangesIntersect(rangeA: string, rangeB: string): boolean;
+export function matchesCompromisedSpec(spec: string, compromisedSpec: string): boolean;
+
+// Project files. The compromised list is indexed on first use: pass a new object rather than
+// changing one that was already scanned with.
+type PartialFinding = Pick<Finding, 'pkg' | 'version' | 'matchedVersion' | 'section'> & Partial<Finding>;
+export function scanPackageJSON(manifest: object, compromised: CompromisedPackages): PartialFinding[];
+export function scanPackageLockData(lockfile: object, compromised: CompromisedPackages, manifest?: object | null): PartialFinding[];
+export function parseYarnLock(content: string): { specs: string[]; fields: Record<string, string>; dependencies: Record<string, string> }[];
+export function scanYarnLock(content: string, compromised: CompromisedPackages, manifest?: object | null, members?: object[]): PartialFinding[];
+export function parsePnpmLock(content: string, manifest?: object | null, members?: object[]): { packages: object[]; graph: Map<string, object> };
+export function scanPnpmLock(content: string, compromised: CompromisedPackages, manifest?: object | null, members?: object[]): PartialFinding[];
+export function scanInstalledPackages(projectDir: string, compromised: CompromisedPackages, iocs?: object | null): PartialFinding[] | null;
+export function loadIOCs(iocFile?: string | null): object;
+export function classifyFinding(finding: PartialFinding): Severity;
+export function isFailingFinding(finding: Finding, failOn: Severity | 'none'): boolean;
+
+// SBOMs
+export interface SbomComponent {
+  ref: string;
+  purl: string;
+  pkg: string;
+  version: string;
+}
+export function parseSbom(content: string): { format: SbomFormat; specVersion: string | null; name: string | null; components: SbomComponent[] };
+export function parsePurl(purl: string): { type: string; namespace: string | null; name: string; version: string | null } | null;
+
+// Reports
+export function renderReport(report: Report, format: 'text' | 'json' | 'sarif' | 'junit'): string;
+export function formatText(report: Report): string;
+export function formatJSON(report: Report): string;
+export function formatSARIF(report: Report): string;
+export function formatJUnit(report: Report): string;
@@ -5,58 +5,414 @@
  * No external dependencies.
  */
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const http = require('http');
 const https = require('https');
-const { URL } = require('url');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const util = require('util');
+const zlib = require('zlib');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { URL, pathToFileURL } = require('url');
+
+// Progress output. Outside scan() messages go to the console; inside scan() they are delivered
+// to its onProgress hook together with the other progress events (see section 15).
+const progressContext = new AsyncLocalStorage();
+const log = {
+  info: (...args) => writeLog('info', args),
+  warn: (...args) => writeLog('warn', args),
+  error: (...args) => writeLog('error', args)
+};
 
 // 1. Advisory sources (matching the Python toolkit)
+// Each source has a name (used to override it from a config file), a URL or local file path,
+// the parser type used to read it, an enabled flag and a trust weight.
+// Sources can be added, disabled or redirected to a mirror with .wormscanrc.json or --sources.
 const ADVISORY_SOURCES = [
   // JFrog advisory
-  { url: "https://jfrog.com/blog/shai-hulud-npm-supply-chain-attack-new-compromised-packages-detected/", type: "generic" },
+  { name: "jfrog", url: "https://jfrog.com/blog/shai-hulud-npm-supply-chain-attack-new-compromised-packages-detected/", type: "generic" },
   // Semgrep advisory
-  { url: "https://semgrep.dev/blog/2025/security-advisory-npm-packages-using-secret-scanning-tools-to-steal-credentials/", type: "generic" },
+  { name: "semgrep", url: "https://semgrep.dev/blog/2025/security-advisory-npm-packages-using-secret-scanning-tools-to-steal-credentials/", type: "generic" },
   // Wiz advisory
-  { url: "https://www.wiz.io/blog/shai-hulud-npm-supply-chain-attack", type: "wiz" },
+  { name: "wiz", url: "https://www.wiz.io/blog/shai-hulud-npm-supply-chain-attack", type: "wiz" },
   // StepSecurity advisory
-  { url: "https://www.stepsecurity.io/blog/ctrl-tinycolor-and-40-npm-packages-compromised", type: "stepsecurity" },
-  // Additional sources can be added here if needed
+  { name: "stepsecurity", url: "https://www.stepsecurity.io/blog/ctrl-tinycolor-and-40-npm-packages-compromised", type: "stepsecurity" },
 ];
 
-// 2. Helper: fetch URL as text (promise)
-function fetchURL(url, timeout = 15000) {
-  // For testing, use a shorter timeout if environment variable is set
+// Project-level configuration file, looked up in the working directory
+const CONFIG_FILE_NAME = '.wormscanrc.json';
+
+// Exit codes: findings that fail the policy, scan errors (bad configuration, unreadable files)
+// and advisory sources that could not be loaded are told apart
+const EXIT_CODES = { clean: 0, compromised: 1, scanError: 2, advisoryFailure: 3 };
+
+// Finding classes from least to most severe; --fail-on picks the least severe class that fails the scan
+const SEVERITY_CLASSES = ['range-could-resolve', 'locked', 'confirmed-installed', 'ioc'];
+const SEVERITY_ALIASES = { range: 'range-could-resolve', installed: 'confirmed-installed' };
+const LOCKFILE_SECTIONS = ['package-lock', 'package-lock-v7', 'yarn-lock', 'pnpm-lock'];
+
+// Triaged findings that should not fail the scan, looked up in the scanned directory
+const IGNORE_FILE_NAME = '.wormscanignore.json';
+
+// Default location of the on-disk advisory database (override with --cache or WORM_SCANNER_CACHE)
+const DEFAULT_CACHE_FILE = path.join(os.homedir(), '.cache', 'worm-scanner', 'advisories.json');
+const CACHE_SCHEMA_VERSION = 1;
+
+// A source whose package count falls by more than this fraction since its last good snapshot is
+// treated as degraded (a redesigned page the parser no longer understands); per source: "maxDrop"
+const DEFAULT_MAX_DROP = 0.2;
+
+// How much a single listing can be trusted, by parser: structured feeds name exact packages, the
+// table parsers read a known page layout, and the generic pkg@version regex also picks up e-mail
+// addresses and documentation examples. Custom parsers get DEFAULT_PARSER_CONFIDENCE.
+const PARSER_CONFIDENCE = { osv: 0.95, ghsa: 0.95, stepsecurity: 0.8, wiz: 0.8, ox: 0.8, github: 0.7, generic: 0.4 };
+const DEFAULT_PARSER_CONFIDENCE = 0.6;
+
+// Indicators of compromise (IOCs) left by the Shai-Hulud payload in installed packages.
+// More indicators can be supplied at runtime with --ioc-file <file.json> using the same shape:
+//   hashes:   SHA-256 of known payload files
+//   files:    paths that should never exist inside a published package
+//   patterns: regular expressions matched against package scripts and payload candidates
+//   scripts:  regular expressions matched against install lifecycle scripts in package.json
+// --triage also uses:
+//   workflows:    regular expressions matched against GitHub Actions workflow files
+//   branches:     regular expressions matched against local and remote-tracking branch names
+//   repositories: regular expressions matched against git remote repository names
+const DEFAULT_IOCS = {
+  hashes: [
+    { sha256: "de0e25a3e6c1e1e5998b306b7141b3dc4c0088da9d7bb47c1c00c91e6e4f85d6", description: "Shai-Hulud bundle.js payload" },
+    { sha256: "81d2a004a1bca6ef87a1caf7d0e0b355ad1764238e40ff6d1b1cb77ad4f595c3", description: "Shai-Hulud bundle.js payload" },
+    { sha256: "83a650ce44b2a9854802a7fb4c202877815274c129af49e6c2d1d5d5d55c501e", description: "Shai-Hulud bundle.js payload" },
+    { sha256: "4b2399646573bb737c4969563303d8ee2e9ddbd1b271f1ca9e35ea78062538db", description: "Shai-Hulud bundle.js payload" },
+    { sha256: "dc67467a39b70d1cd4c1f7f7a459b35058163592f4a9e8fb4dffcbba98ef210c", description: "Shai-Hulud bundle.js payload" },
+    { sha256: "46faab8ab153fae6e80e7cca38eab363075bb524edd79e42269217a083628f09", description: "Shai-Hulud bundle.js payload" },
+    { sha256: "b74caeaa75e077c99f7d44f46daaf9796a3be43ecf24f2a1fd381844669da777", description: "Shai-Hulud bundle.js payload" }
+  ],
+  files: [
+    { path: ".github/workflows/shai-hulud-workflow.yml", description: "Shai-Hulud exfiltration workflow" },
+    { path: ".github/workflows/shai-hulud.yaml", description: "Shai-Hulud exfiltration workflow" }
+  ],
+  patterns: [
+    { pattern: "webhook\\.site/bb8ca5f6-4175-45d2-b042-fc9ebb8170b7", description: "Shai-Hulud webhook.site exfiltration endpoint" },
+    { pattern: "trufflehog(?:\\.exe)?['\"]?\\s*,?\\s*\\[?\\s*['\"]?filesystem", flags: "i", description: "TruffleHog secret scan invocation" }
+  ],
+  scripts: [
+    { pattern: "node\\s+(?:\\./)?bundle\\.js", description: "Install script runs bundle.js (Shai-Hulud postinstall payload)" }
+  ],
+  workflows: [
+    { pattern: "toJSON\\(\\s*secrets\\s*\\)", description: "Workflow serializes every repository secret" }
+  ],
+  branches: [
+    { pattern: "shai-hulud", flags: "i", description: "Branch created by Shai-Hulud" }
+  ],
+  repositories: [
+    { pattern: "-migration$", flags: "i", description: "Repository published by Shai-Hulud (\"-migration\" copy of a private repository)" }
+  ]
+};
+
+// Files larger than this are not read when looking for IOCs (the known payload is ~3.6 MB)
+const IOC_MAX_FILE_SIZE = 16 * 1024 * 1024;
+
+// Dependency chains reported per finding; popular packages can be reached in thousands of ways
+const MAX_DEPENDENCY_PATHS = 20;
+
+// --recursive: directories deeper than this below the scanned directory are not searched for
+// projects (--max-depth). Projects and workspace members are scanned by this many worker threads (--workers)
+const DEFAULT_MAX_DEPTH = 32;
+const DEFAULT_WORKERS = Math.min(os.cpus().length, 8);
+// Projects read at the same time when scanning without worker threads
+const INLINE_TASKS = 16;
+
+// 2. HTTP client for advisory downloads
+// Follows redirects, retries transient failures with exponential backoff, tunnels through
+// HTTPS_PROXY / HTTP_PROXY (honouring NO_PROXY), decompresses gzip, deflate and brotli bodies,
+// sends conditional requests and refuses bodies larger than maxBytes.
+const HTTP_DEFAULTS = {
+  timeout: 15000,               // socket inactivity per attempt, including while reading the body
+  retries: 3,                   // extra attempts after network errors, timeouts, 429 and 5xx
+  retryDelay: 500,              // first backoff, doubled on every retry
+  maxRetryDelay: 30000,         // upper bound for backoff and Retry-After
+  maxRedirects: 5,
+  maxBytes: 256 * 1024 * 1024   // decompressed body size; OSV ecosystem dumps are tens of megabytes
+};
+const USER_AGENT = `worm-scanner (+https://github.com/smoki99/vuln-package_scanner) node/${process.versions.node}`;
+const REDIRECT_STATUS = [301, 302, 303, 307, 308];
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Fetch URL as text, or as a Buffer with { binary: true } (promise)
+async function fetchURL(url, timeout = HTTP_DEFAULTS.timeout, { binary = false, ...options } = {}) {
+  const { body } = await fetchResource(url, { ...options, timeout });
+  return binary ? body : body.toString('utf8');
+}
+
+// Fetch a URL with retries; resolves to { url, statusCode, headers, body, notModified }.
+// Pass etag / lastModified from an earlier response to get { notModified: true } when unchanged.
+async function fetchResource(url, options = {}) {
+  const opts = { ...HTTP_DEFAULTS, ...options };
+  // For testing, use a shorter timeout and backoff if environment variable is set
   if (process.env.WORM_SCANNER_TEST) {
-    timeout = 5000;
+    opts.timeout = Math.min(opts.timeout, 5000);
+    opts.retryDelay = Math.min(opts.retryDelay, 50);
   }
   
+  let lastError = null;
+  for (let attempt = 0; attempt <= opts.retries; attempt++) {
+    if (attempt > 0) {
+      const delay = lastError.retryAfter !== null && lastError.retryAfter !== undefined
+        ? Math.min(lastError.retryAfter, opts.maxRetryDelay)
+        : backoffDelay(attempt, opts);
+      log.warn(`  ${lastError.message}; retrying ${url} in ${delay}ms (attempt ${attempt + 1} of ${opts.retries + 1})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    try {
+      return await fetchFollowingRedirects(url, opts);
+    } catch (e) {
+      if (!e.retryable) throw e;
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+function backoffDelay(attempt, opts) {
+  const delay = Math.min(opts.maxRetryDelay, opts.retryDelay * 2 ** (attempt - 1));
+  // Jitter keeps parallel source downloads from retrying in lockstep
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return isNaN(ms) ? null : Math.max(0, ms);
+}
+
+async function fetchFollowingRedirects(url, opts) {
+  let current = new URL(url);
+  for (let redirects = 0; ; redirects++) {
+    if (current.protocol !== 'https:' && current.protocol !== 'http:') {
+      throw new Error(`Unsupported protocol ${current.protocol} in ${current.href}`);
+    }
+    const res = await requestOnce(current, opts);
+    if (!REDIRECT_STATUS.includes(res.statusCode)) return { url: current.href, ...res };
+    
+    if (!res.headers.location) {
+      throw new Error(`HTTP ${res.statusCode} redirect without a Location header from ${current.href}`);
+    }
+    if (redirects >= opts.maxRedirects) {
+      throw new Error(`Too many redirects (more than ${opts.maxRedirects}) starting at ${url}`);
+    }
+    const next = new URL(res.headers.location, current);
+    // Never let a redirect downgrade an HTTPS source to plain HTTP
+    if (current.protocol === 'https:' && next.protocol !== 'https:') {
+      throw new Error(`Refusing redirect from ${current.href} to insecure ${next.href}`);
+    }
+    current = next;
+  }
+}
+
+// One request/response exchange. Redirects and 304 resolve without a body; errors carry
+// `retryable` (and `retryAfter` in ms) for fetchResource.
+function requestOnce(url, opts) {
   return new Promise((resolve, reject) => {
-    const req = https.get(new URL(url), { timeout: timeout }, (res) => {
-      // Check for error status codes
-      if (res.statusCode >= 400) {
-        reject(new Error(`HTTP Error: ${res.statusCode} ${res.statusMessage}`));
-        return;
+    let req = null;
+    let settled = false;
+    // Settle exactly once, so a late timeout or socket error can never fire after resolve
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      if (err) {
+        if (req) req.destroy();
+        reject(err);
+      } else {
+        resolve(value);
       }
+    };
+    
+    const headers = {
+      'User-Agent': USER_AGENT,
+      'Accept-Encoding': 'gzip, deflate, br',
+      ...(opts.etag ? { 'If-None-Match': opts.etag } : {}),
+      ...(opts.lastModified ? { 'If-Modified-Since': opts.lastModified } : {}),
+      ...opts.headers
+    };
+    
+    prepareConnection(url, opts).then(connection => {
+      const transport = url.protocol === 'https:' ? https : http;
+      req = transport.request(url, {
+        method: 'GET',
+        timeout: opts.timeout,
+        agent: false,
+        ...connection,
+        headers: { ...headers, ...connection.headers }
+      }, (res) => {
+        const { statusCode } = res;
+        if (REDIRECT_STATUS.includes(statusCode) || statusCode === 304) {
+          res.resume();
+          finish(null, { statusCode, headers: res.headers, body: null, notModified: statusCode === 304 });
+          return;
+        }
+        if (statusCode < 200 || statusCode >= 300) {
+          res.resume();
+          const err = new Error(`HTTP Error: ${statusCode} ${res.statusMessage}`);
+          err.statusCode = statusCode;
+          err.retryable = RETRYABLE_STATUS.includes(statusCode);
+          err.retryAfter = parseRetryAfter(res.headers['retry-after']);
+          finish(err);
+          return;
+        }
+        if (Number(res.headers['content-length']) > opts.maxBytes) {
+          finish(new Error(`Response from ${url.href} is ${res.headers['content-length']} bytes, more than the ${opts.maxBytes} byte limit`));
+          return;
+        }
+        
+        let body;
+        try {
+          body = decodeBody(res);
+        } catch (e) {
+          finish(e);
+          return;
+        }
+        const chunks = [];
+        let size = 0;
+        body.on('data', chunk => {
+          // Counted after decompression, so a small compressed bomb cannot exhaust memory
+          size += chunk.length;
+          if (size > opts.maxBytes) {
+            finish(new Error(`Response from ${url.href} exceeds the ${opts.maxBytes} byte limit`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        body.on('end', () => finish(null, { statusCode, headers: res.headers, body: Buffer.concat(chunks), notModified: false }));
+        body.on('error', e => finish(new Error(`Could not decode response from ${url.href}: ${e.message}`)));
+        res.on('error', e => finish(markRetryable(e)));
+        res.on('close', () => {
+          if (!res.complete) finish(markRetryable(new Error(`Connection closed before the response from ${url.href} was complete`), true));
+        });
+      });
       
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      
-      // Set a timeout for the response reading as well
-      const responseTimeout = setTimeout(() => {
-        reject(new Error(`Response reading timeout after ${timeout}ms`));
-      }, timeout);
-      
-      res.on('end', () => {
-        clearTimeout(responseTimeout);
-        resolve(data);
+      req.on('timeout', () => {
+        finish(markRetryable(new Error(`Request timeout after ${opts.timeout}ms`), true));
       });
+      req.on('error', e => finish(markRetryable(e)));
+      req.end();
+    }, e => finish(e));
+  });
+}
+
+function markRetryable(err, retryable = RETRYABLE_ERRORS.includes(err.code)) {
+  err.retryable = retryable;
+  return err;
+}
+
+// Wrap the response in decompression streams for its Content-Encoding (applied in reverse order)
+function decodeBody(res) {
+  const encodings = (res.headers['content-encoding'] || '')
+    .split(',').map(e => e.trim().toLowerCase()).filter(e => e && e !== 'identity');
+  let stream = res;
+  for (const encoding of encodings.reverse()) {
+    let decoder;
+    if (encoding === 'gzip' || encoding === 'x-gzip') decoder = zlib.createGunzip();
+    else if (encoding === 'deflate') decoder = zlib.createInflate();
+    else if (encoding === 'br') decoder = zlib.createBrotliDecompress();
+    else throw new Error(`Unsupported Content-Encoding "${encoding}"`);
+    stream = stream.pipe(decoder);
+  }
+  return stream;
+}
+
+// Request options for a direct connection, a plain HTTP proxy or a CONNECT tunnel.
+// Custom CA certificates (opts.ca) are trusted in addition to Node's built-in roots.
+async function prepareConnection(url, opts) {
+  const ca = opts.ca ? [...tls.rootCertificates, ...[].concat(opts.ca)] : undefined;
+  const proxy = getProxyForURL(url);
+  if (!proxy) return url.protocol === 'https:' ? { ca } : {};
+  
+  if (url.protocol === 'http:') {
+    // Plain HTTP goes to the proxy with the absolute URL as the request target
+    return {
+      hostname: proxy.hostname,
+      port: proxy.port || 80,
+      path: url.href,
+      headers: { Host: url.host, ...proxyAuthorization(proxy) }
+    };
+  }
+  
+  // TLS to the target then runs inside the tunnel socket
+  const socket = await openTunnel(proxy, url, opts);
+  return { socket, servername: net.isIP(url.hostname) ? undefined : url.hostname, ca };
+}
+
+// HTTPS_PROXY (falling back to HTTP_PROXY, like npm) for https URLs, HTTP_PROXY for http URLs,
+// unless the host matches NO_PROXY. Lower-case variables take precedence.
+function getProxyForURL(url) {
+  const env = (name) => process.env[name.toLowerCase()] || process.env[name.toUpperCase()] || '';
+  const proxyURL = url.protocol === 'https:' ? env('https_proxy') || env('http_proxy') : env('http_proxy');
+  if (!proxyURL || isNoProxyHost(url, env('no_proxy'))) return null;
+  
+  const proxy = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(proxyURL) ? proxyURL : `http://${proxyURL}`);
+  if (proxy.protocol !== 'http:') {
+    throw new Error(`Unsupported proxy protocol ${proxy.protocol} in ${proxy.origin} (only http:// proxies are supported)`);
+  }
+  return proxy;
+}
+
+// NO_PROXY entries: "*", host names (matching subdomains too, with or without a leading
+// "." or "*."), IP addresses, each optionally with ":port"
+function isNoProxyHost(url, noProxy) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    // Bare IPv6 addresses cannot carry a port; "[::1]:8080" can
+    const match = net.isIPv6(entry) ? [entry, entry] : entry.match(/^(?:\[([^\]]+)\]|([^:]+))(?::(\d+))?$/);
+    if (!match) return false;
+    const entryHost = (match[1] || match[2]).toLowerCase().replace(/^\*?\./, '');
+    if (match[3] && match[3] !== port) return false;
+    return host === entryHost || host.endsWith(`.${entryHost}`);
+  });
+}
+
+function proxyAuthorization(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+// Ask the proxy for a raw TCP tunnel to the target host (HTTP CONNECT)
+function openTunnel(proxy, url, opts) {
+  const target = `${url.hostname}:${url.port || 443}`;
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: proxy.hostname,
+      port: proxy.port || 80,
+      method: 'CONNECT',
+      path: target,
+      agent: false,
+      timeout: opts.timeout,
+      headers: { Host: target, 'User-Agent': USER_AGENT, ...proxyAuthorization(proxy) }
+    });
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        const err = new Error(`Proxy ${proxy.host} refused to connect to ${target}: HTTP ${res.statusCode} ${res.statusMessage}`);
+        reject(markRetryable(err, RETRYABLE_STATUS.includes(res.statusCode)));
+        return;
+      }
+      resolve(socket);
     });
-    
     req.on('timeout', () => {
       req.destroy();
-      reject(new Error(`Request timeout after ${timeout}ms`));
+      reject(markRetryable(new Error(`Proxy ${proxy.host} did not respond within ${opts.timeout}ms`), true));
     });
-    
-    req.on('error', reject);
+    req.on('error', e => reject(markRetryable(new Error(`Proxy ${proxy.host}: ${e.message}`), RETRYABLE_ERRORS.includes(e.code))));
+    req.end();
   });
 }
 
@@ -191,7 +547,7 @@ function parseGitHubAdvisory(html) {
       }
     }
   } catch (e) {
-    console.warn(`Error parsing GitHub advisory: ${e.message}`);
+    log.warn(`Error parsing GitHub advisory: ${e.message}`);
   }
   
   return packages;
@@ -253,7 +609,7 @@ function parseGeneric(html) {
       }
     }
   } catch (e) {
-    console.warn(`Error parsing tables: ${e.message}`);
+    log.warn(`Error parsing tables: ${e.message}`);
   }
   
   return packages;
@@ -263,430 +619,3907 @@ function stripHTML(str) {
   return str.replace(/<[^>]+>/g, '').replace(/&amp;/g, "&").replace(/&#39;/g, "'").replace(/&quot;/g, '"');
 }
 
-// Helper function to handle semver range checks
-function satisfiesRange(versionRange, version) {
-  // If the range is exact, only check equality
-  if (!isRange(versionRange)) {
-    return versionRange === version;
+// Structured advisory parsers (OSV and GitHub Advisory Database JSON).
+// Affected ranges are kept as semver range strings next to exact versions.
+
+// Minimal ZIP reader (stored and deflated entries, ZIP64 included) for OSV ecosystem dumps
+// such as https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip
+function readZipEntries(buffer) {
+  // The end of central directory record sits at the end, possibly followed by a comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
   }
+  if (eocd === -1) throw new Error('Not a ZIP archive');
   
-  try {
-    // Parse version and range into components
-    const parsedVersion = parseVersion(version);
-    
-    // Handle different range formats
-    if (versionRange.startsWith('~')) {
-      // Tilde ranges (~1.2.3) allow patch-level changes
-      const baseVersion = versionRange.substring(1);
-      const parsedBase = parseVersion(baseVersion);
-      
-      // Match major and minor version, allow patch version >= baseVersion.patch
-      return parsedVersion.major === parsedBase.major && 
-             parsedVersion.minor === parsedBase.minor && 
-             parsedVersion.patch >= parsedBase.patch;
-    } 
-    else if (versionRange.startsWith('^')) {
-      // Caret ranges (^1.2.3) allow changes that don't modify the major version
-      const baseVersion = versionRange.substring(1);
-      const parsedBase = parseVersion(baseVersion);
-      
-      if (parsedBase.major === 0) {
-        // For 0.y.z versions, ^ is more like ~
-        return parsedVersion.major === 0 && 
-               parsedVersion.minor === parsedBase.minor && 
-               parsedVersion.patch >= parsedBase.patch;
-      } else {
-        // For x.y.z where x > 0, allow anything with same major version
-        return parsedVersion.major === parsedBase.major && 
-               (parsedVersion.minor > parsedBase.minor || 
-                (parsedVersion.minor === parsedBase.minor && parsedVersion.patch >= parsedBase.patch));
+  let count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const zip64Locator = eocd - 20;
+  if ((count === 0xFFFF || offset === 0xFFFFFFFF) && zip64Locator >= 0 && buffer.readUInt32LE(zip64Locator) === 0x07064b50) {
+    const zip64Eocd = Number(buffer.readBigUInt64LE(zip64Locator + 8));
+    count = Number(buffer.readBigUInt64LE(zip64Eocd + 32));
+    offset = Number(buffer.readBigUInt64LE(zip64Eocd + 48));
+  }
+  
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    let compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    let localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    
+    // ZIP64 extra field: 64-bit values for whichever fields are 0xFFFFFFFF, in fixed order
+    let extra = offset + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = buffer.readUInt16LE(extra);
+      const size = buffer.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (uncompressedSize === 0xFFFFFFFF) field += 8;
+        if (compressedSize === 0xFFFFFFFF) {
+          compressedSize = Number(buffer.readBigUInt64LE(field));
+          field += 8;
+        }
+        if (localOffset === 0xFFFFFFFF) localOffset = Number(buffer.readBigUInt64LE(field));
       }
+      extra += 4 + size;
     }
-    else if (versionRange.endsWith('.x') || versionRange.endsWith('.*')) {
-      // Handle 1.2.x or 1.2.* format
-      const parts = versionRange.replace(/\.x|\.\*/g, '').split('.').map(Number);
-      
-      if (parts.length === 1) {
-        // Format 1.x - match major version
-        return parsedVersion.major === parts[0];
-      } else if (parts.length === 2) {
-        // Format 1.2.x - match major and minor versions
-        return parsedVersion.major === parts[0] && parsedVersion.minor === parts[1];
+    
+    entries.push({
+      name,
+      read() {
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(start, start + compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
       }
+    });
+    offset = extraEnd + commentLength;
+  }
+  return entries;
+}
+
+function addAffectedSpec(packages, pkg, spec) {
+  if (!pkg || !spec) return;
+  if (!packages[pkg]) packages[pkg] = new Set();
+  packages[pkg].add(spec);
+}
+
+// Malware entries: OSV MAL- ids (or aliases) and GitHub malware advisories (CWE-506)
+function isMaliciousAdvisory(record) {
+  const ids = [record.id, record.ghsa_id, ...(record.aliases || [])].filter(Boolean);
+  if (ids.some(id => id.startsWith('MAL-'))) return true;
+  if (record.type === 'malware') return true;
+  const cwes = [
+    ...((record.database_specific && record.database_specific.cwe_ids) || []),
+    ...(record.cwes || []).map(cwe => cwe.cwe_id)
+  ];
+  return cwes.includes('CWE-506');
+}
+
+// Turn OSV range events into semver ranges:
+// introduced 1.0.0 + fixed 1.2.4 -> ">=1.0.0 <1.2.4", introduced 0 alone -> ">=0.0.0"
+function osvEventsToRanges(events) {
+  const order = (e) => {
+    const version = e.introduced || e.fixed || e.last_affected || e.limit;
+    return parseVersion(version === '0' ? '0.0.0' : version);
+  };
+  const sorted = events.filter(order).sort((a, b) => compareVersions(order(a), order(b)));
+  
+  const ranges = [];
+  let introduced = null;
+  for (const event of sorted) {
+    if (event.introduced) {
+      introduced = event.introduced === '0' ? '0.0.0' : event.introduced;
+    } else if (introduced && (event.fixed || event.limit)) {
+      ranges.push(`>=${introduced} <${event.fixed || event.limit}`);
+      introduced = null;
+    } else if (introduced && event.last_affected) {
+      ranges.push(event.last_affected === introduced ? introduced : `>=${introduced} <=${event.last_affected}`);
+      introduced = null;
     }
-    else if (versionRange.includes(' - ')) {
-      // Handle range format (1.2.3 - 2.3.4)
-      const [min, max] = versionRange.split(' - ').map(parseVersion);
-      
-      // Check if version is within range (inclusive)
-      return isVersionGreaterOrEqual(parsedVersion, min) && isVersionLessOrEqual(parsedVersion, max);
+  }
+  if (introduced) ranges.push(`>=${introduced}`);
+  return ranges;
+}
+
+function addOSVRecord(packages, record, src) {
+  if (!record || record.withdrawn) return;
+  if (src && src.maliciousOnly && !isMaliciousAdvisory(record)) return;
+  
+  for (const affected of record.affected || []) {
+    const pkg = affected.package;
+    if (!pkg || String(pkg.ecosystem).toLowerCase() !== 'npm') continue;
+    
+    for (const version of affected.versions || []) {
+      addAffectedSpec(packages, pkg.name, version);
     }
-    else if (versionRange.includes('>=') || versionRange.includes('<=') || 
-             versionRange.includes('>') || versionRange.includes('<')) {
-      // Handle complex ranges like ">=1.0.0 <2.0.0"
-      const conditions = versionRange.split(/\s+/);
-      
-      for (const condition of conditions) {
-        if (condition.startsWith('>=')) {
-          const minVersion = parseVersion(condition.substring(2));
-          if (!isVersionGreaterOrEqual(parsedVersion, minVersion)) return false;
-        }
-        else if (condition.startsWith('>')) {
-          const minVersion = parseVersion(condition.substring(1));
-          if (!isVersionGreater(parsedVersion, minVersion)) return false;
-        }
-        else if (condition.startsWith('<=')) {
-          const maxVersion = parseVersion(condition.substring(2));
-          if (!isVersionLessOrEqual(parsedVersion, maxVersion)) return false;
-        }
-        else if (condition.startsWith('<')) {
-          const maxVersion = parseVersion(condition.substring(1));
-          if (!isVersionLess(parsedVersion, maxVersion)) return false;
-        }
+    for (const range of affected.ranges || []) {
+      if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') continue;
+      for (const spec of osvEventsToRanges(range.events || [])) {
+        addAffectedSpec(packages, pkg.name, spec);
       }
-      return true; // All conditions passed
     }
-  } catch (e) {
-    // If there's any error in parsing, fall back to a simple check
-    console.warn(`Error parsing version range "${versionRange}": ${e.message}`);
+  }
+}
+
+// OSV JSON: a single record, an array of records, a query response ({ vulns: [...] })
+// or a ZIP dump of an ecosystem. Set "maliciousOnly": true on the source to keep only malware.
+function parseOSV(content, src) {
+  const packages = {};
+  
+  if (Buffer.isBuffer(content) && content.length >= 4 && content.readUInt32LE(0) === 0x04034b50) {
+    let failed = 0;
+    for (const entry of readZipEntries(content)) {
+      if (!entry.name.endsWith('.json')) continue;
+      try {
+        addOSVRecord(packages, JSON.parse(entry.read().toString('utf8')), src);
+      } catch (e) {
+        failed++;
+      }
+    }
+    if (failed) log.warn(`Skipped ${failed} unreadable OSV records`);
+    return packages;
   }
   
-  // Fallback to simple string inclusion check
-  return versionRange.includes(version);
+  const data = JSON.parse(content.toString('utf8'));
+  const records = Array.isArray(data) ? data : (data.vulns || [data]);
+  for (const record of records) {
+    addOSVRecord(packages, record, src);
+  }
+  return packages;
 }
 
-// Helper to check if a version string is a range
-function isRange(version) {
-  return /[\^~><=.*xX]/.test(version) || version.includes(' - ');
+// GitHub "vulnerable_version_range" (">= 1.0.0, < 1.2.4", "= 4.1.1") to a semver range
+function normalizeGHSARange(range) {
+  if (!range || !range.trim()) return '>=0.0.0';
+  return range.split(',').map(part => part.trim().replace(/^=\s*/, '').replace(/^([<>]=?)\s+/, '$1')).join(' ');
 }
 
-// Parse a version string into components
-function parseVersion(version) {
-  // Handle version strings with prerelease or build metadata
-  const mainVersion = version.split(/[-+]/)[0];
-  const parts = mainVersion.split('.').map(p => parseInt(p, 10));
+// GitHub Advisory Database: REST API advisories (a single object or an array), or the
+// OSV-format files of the github/advisory-database repository
+function parseGHSA(content, src) {
+  const packages = {};
+  const data = JSON.parse(content);
   
+  for (const advisory of Array.isArray(data) ? data : [data]) {
+    if (advisory.affected) {
+      addOSVRecord(packages, advisory, src);
+      continue;
+    }
+    if (advisory.withdrawn_at) continue;
+    if (src && src.maliciousOnly && !isMaliciousAdvisory(advisory)) continue;
+    
+    for (const vuln of advisory.vulnerabilities || []) {
+      if (!vuln.package || String(vuln.package.ecosystem).toLowerCase() !== 'npm') continue;
+      addAffectedSpec(packages, vuln.package.name, normalizeGHSARange(vuln.vulnerable_version_range));
+    }
+  }
+  return packages;
+}
+
+// Semver range engine compatible with npm's (node-semver) range grammar:
+// unions (||), hyphen ranges, X-ranges, tilde/caret ranges, primitive comparators
+// and prerelease tag semantics.
+const SEMVER_RE = /^\s*[v=]*\s*(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?\s*$/;
+const PARTIAL_RE = /^\s*[v=]*\s*(0|[1-9]\d*|[xX*])(?:\.(0|[1-9]\d*|[xX*])(?:\.(0|[1-9]\d*|[xX*])(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?)?)?\s*$/;
+
+// Parse a full version ("1.2.3-beta.1+build") into components, or null if it is not valid semver
+function parseVersion(version) {
+  const match = SEMVER_RE.exec(String(version));
+  if (!match) return null;
   return {
-    major: parts[0] || 0,
-    minor: parts[1] || 0,
-    patch: parts[2] || 0
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: parsePrerelease(match[4])
   };
 }
 
-// Version comparison helpers
-function isVersionGreaterOrEqual(v1, v2) {
-  return v1.major > v2.major || 
-         (v1.major === v2.major && v1.minor > v2.minor) || 
-         (v1.major === v2.major && v1.minor === v2.minor && v1.patch >= v2.patch);
+function parsePrerelease(str) {
+  return str ? str.split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : [];
 }
 
-function isVersionGreater(v1, v2) {
-  return v1.major > v2.major || 
-         (v1.major === v2.major && v1.minor > v2.minor) || 
-         (v1.major === v2.major && v1.minor === v2.minor && v1.patch > v2.patch);
+// Compare two parsed versions by semver precedence (-1, 0 or 1)
+function compareVersions(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) return a[key] > b[key] ? 1 : -1;
+  }
+  // A release has higher precedence than any of its prereleases
+  if (!a.prerelease.length && !b.prerelease.length) return 0;
+  if (!a.prerelease.length) return 1;
+  if (!b.prerelease.length) return -1;
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    // Numeric identifiers sort before alphanumeric ones
+    if (typeof x !== typeof y) return typeof x === 'number' ? -1 : 1;
+    return x > y ? 1 : -1;
+  }
+  return 0;
 }
 
-function isVersionLessOrEqual(v1, v2) {
-  return v1.major < v2.major || 
-         (v1.major === v2.major && v1.minor < v2.minor) || 
-         (v1.major === v2.major && v1.minor === v2.minor && v1.patch <= v2.patch);
+// Parse a possibly partial version ("1", "1.2", "1.x", "*") with null for missing or wildcard parts
+function parsePartialVersion(str) {
+  const match = PARTIAL_RE.exec(str);
+  if (!match) return null;
+  const part = (p) => (p === undefined || /^[xX*]$/.test(p) ? null : Number(p));
+  const partial = { major: part(match[1]), minor: part(match[2]), patch: part(match[3]), prerelease: parsePrerelease(match[4]) };
+  // Numbers after a wildcard ("*.1", "1.x.3") are only tolerated by tilde, caret and hyphen ranges
+  partial.strict = !((partial.major === null && match[2] !== undefined && partial.minor !== null) ||
+    (partial.major === null && match[3] !== undefined && partial.patch !== null) ||
+    (partial.minor === null && match[3] !== undefined && partial.patch !== null));
+  return partial;
 }
 
-function isVersionLess(v1, v2) {
-  return v1.major < v2.major || 
-         (v1.major === v2.major && v1.minor < v2.minor) || 
-         (v1.major === v2.major && v1.minor === v2.minor && v1.patch < v2.patch);
+function comparator(operator, major, minor, patch, prerelease = []) {
+  return { operator, version: { major, minor, patch, prerelease } };
 }
 
-// 4. Fetch and parse all advisories
-async function fetchCompromisedPackages() {
-  let masterList = {};
-  let failedSources = 0;
-  let successfulSources = 0;
-  let pendingRequests = [];
-  
-  // Start all requests in parallel
-  for (const src of ADVISORY_SOURCES) {
-    pendingRequests.push(
-      (async () => {
-        console.log(`Fetching from ${src.url}...`);
-        try { 
-          const html = await fetchURL(src.url); 
-          successfulSources++;
-          
-          let result = {};
-          
-          try {
-            // Select parser based on source type
-            if (src.type === 'stepsecurity') result = parseStepSecurity(html);
-            else if (src.type === 'ox') result = parseOX(html);
-            else if (src.type === 'wiz') result = parseWiz(html);
-            else if (src.type === 'github') result = parseGitHubAdvisory(html);
-            else if (src.type === 'generic') result = parseGeneric(html);
-            else {
-              console.warn(`Unknown source type: ${src.type}, trying generic parser`);
-              result = parseGeneric(html);
-            }
-            
-            console.log(`Found ${Object.keys(result).length} packages from ${src.url}`);
-            
-            return result;
-          } catch (e) {
-            console.error(`Error parsing data from ${src.url}: ${e.message}`);
-            return {};
-          }
-        } catch (e) {
-          console.error(`Failed to fetch ${src.url}: ${e.message}`);
-          failedSources++;
-          return {};
-        }
-      })()
-    );
+const ANY_COMPARATOR = { operator: '', version: null };
+// "<0.0.0-0" can never be satisfied; used for ranges like ">*"
+const NONE_COMPARATOR = comparator('<', 0, 0, 0, [0]);
+
+// ~1.2.3 := >=1.2.3 <1.3.0-0, ~1.2 := >=1.2.0 <1.3.0-0, ~1 := >=1.0.0 <2.0.0-0
+function desugarTilde(p) {
+  if (p.major === null) return [ANY_COMPARATOR];
+  if (p.minor === null) return [comparator('>=', p.major, 0, 0), comparator('<', p.major + 1, 0, 0, [0])];
+  if (p.patch === null) return [comparator('>=', p.major, p.minor, 0), comparator('<', p.major, p.minor + 1, 0, [0])];
+  return [comparator('>=', p.major, p.minor, p.patch, p.prerelease), comparator('<', p.major, p.minor + 1, 0, [0])];
+}
+
+// ^1.2.3 := >=1.2.3 <2.0.0-0, ^0.2.3 := >=0.2.3 <0.3.0-0, ^0.0.3 := >=0.0.3 <0.0.4-0
+function desugarCaret(p) {
+  if (p.major === null) return [ANY_COMPARATOR];
+  if (p.minor === null) return [comparator('>=', p.major, 0, 0), comparator('<', p.major + 1, 0, 0, [0])];
+  if (p.patch === null) {
+    return p.major === 0
+      ? [comparator('>=', 0, p.minor, 0), comparator('<', 0, p.minor + 1, 0, [0])]
+      : [comparator('>=', p.major, p.minor, 0), comparator('<', p.major + 1, 0, 0, [0])];
   }
+  const lower = comparator('>=', p.major, p.minor, p.patch, p.prerelease);
+  if (p.major > 0) return [lower, comparator('<', p.major + 1, 0, 0, [0])];
+  if (p.minor > 0) return [lower, comparator('<', 0, p.minor + 1, 0, [0])];
+  return [lower, comparator('<', 0, 0, p.patch + 1, [0])];
+}
+
+// Primitive comparators and X-ranges: >=1.2, <1, =1.x, 1.2.x, *
+function desugarPrimitive(operator, p) {
+  if (operator === '=') operator = '';
   
-  // Wait for all requests to complete
-  const results = await Promise.allSettled(pendingRequests);
-  
-  // Merge all results
-  for (const result of results) {
-    if (result.status === 'fulfilled' && result.value) {
-      for (const [pkg, versSet] of Object.entries(result.value)) {
-        if (!(pkg in masterList)) masterList[pkg] = new Set();
-        for (const v of versSet) masterList[pkg].add(v);
-      }
-    }
+  if (p.major === null) {
+    return [operator === '<' || operator === '>' ? NONE_COMPARATOR : ANY_COMPARATOR];
   }
   
-  // Convert all sets to arrays for easier later use
-  for (const k in masterList) masterList[k] = Array.from(masterList[k]);
+  if (p.minor !== null && p.patch !== null) {
+    return [comparator(operator, p.major, p.minor, p.patch, p.prerelease)];
+  }
   
-  console.log(`Advisory sources: ${successfulSources} succeeded, ${failedSources} failed`);
-  console.log(`Total unique packages found: ${Object.keys(masterList).length}`);
+  const minorMissing = p.minor === null;
+  const minor = minorMissing ? 0 : p.minor;
+  if (operator === '>') {
+    // >1 := >=2.0.0, >1.2 := >=1.3.0
+    return minorMissing ? [comparator('>=', p.major + 1, 0, 0)] : [comparator('>=', p.major, minor + 1, 0)];
+  }
+  if (operator === '<=') {
+    // <=1 := <2.0.0-0, <=1.2 := <1.3.0-0
+    return minorMissing ? [comparator('<', p.major + 1, 0, 0, [0])] : [comparator('<', p.major, minor + 1, 0, [0])];
+  }
+  if (operator === '<') return [comparator('<', p.major, minor, 0, [0])];
+  if (operator === '>=') return [comparator('>=', p.major, minor, 0)];
   
-  return masterList;
+  // Bare X-range: 1.x := >=1.0.0 <2.0.0-0, 1.2.x := >=1.2.0 <1.3.0-0
+  return minorMissing
+    ? [comparator('>=', p.major, 0, 0), comparator('<', p.major + 1, 0, 0, [0])]
+    : [comparator('>=', p.major, minor, 0), comparator('<', p.major, minor + 1, 0, [0])];
 }
 
-// 5. Scan local project files
-function scanPackageJSON(pkgData, compromised) {
-  const findings = [];
-  const sections = [
-    "dependencies", "devDependencies", "peerDependencies",
-    "optionalDependencies", "bundleDependencies", "bundledDependencies"
-  ];
-  for (const section of sections) {
-    if (pkgData[section]) {
-      for (const [pkg, versionRange] of Object.entries(pkgData[section])) {
-        // Check if package name is in the compromised list
-        if (compromised[pkg]) {
-          // Check if any of the compromised versions match
-          for (const compVersion of compromised[pkg]) {
-            // First, check for exact match
-            if (versionRange === compVersion) {
-              findings.push({ pkg, version: versionRange, section });
-              break;
-            }
-            
-            // Next, check if the range could include the compromised version
-            if (satisfiesRange(versionRange, compVersion)) {
-              findings.push({ 
-                pkg, 
-                version: `${versionRange} (matches ${compVersion})`, 
-                section 
-              });
-              break;
-            }
-          }
-        }
-      }
-    }
+// 1.2 - 2.3.4 := >=1.2.0 <=2.3.4, 1.2.3 - 2.3 := >=1.2.3 <2.4.0-0
+function desugarHyphen(from, to) {
+  const comparators = [];
+  if (from.major !== null) {
+    if (from.minor === null) comparators.push(comparator('>=', from.major, 0, 0));
+    else if (from.patch === null) comparators.push(comparator('>=', from.major, from.minor, 0));
+    else comparators.push(comparator('>=', from.major, from.minor, from.patch, from.prerelease));
   }
-  return findings;
+  if (to.major !== null) {
+    if (to.minor === null) comparators.push(comparator('<', to.major + 1, 0, 0, [0]));
+    else if (to.patch === null) comparators.push(comparator('<', to.major, to.minor + 1, 0, [0]));
+    else comparators.push(comparator('<=', to.major, to.minor, to.patch, to.prerelease));
+  }
+  return comparators.length ? comparators : [ANY_COMPARATOR];
 }
 
-function scanPackageLock(pkgLockData, compromised) {
-  const findings = [];
-  if (pkgLockData.dependencies) {
-    for (const [pkg, meta] of Object.entries(pkgLockData.dependencies)) {
-      if (!meta.version) continue;
-      
-      // Check if package name is in the compromised list
-      if (compromised[pkg]) {
-        // Check if any of the compromised versions match
-        for (const compVersion of compromised[pkg]) {
-          // Check for exact match
-          if (meta.version === compVersion) {
-            findings.push({ pkg, version: meta.version, section: "package-lock" });
-            break;
-          }
-          
-          // Next, check if the version could include the compromised version
-          if (satisfiesRange(meta.version, compVersion)) {
-            findings.push({ 
-              pkg, 
-              version: `${meta.version} (matches ${compVersion})`, 
-              section: "package-lock" 
-            });
-            break;
-          }
-        }
-      }
+// Parse a range into a list of comparator sets (one per "||" alternative), or null if invalid
+function parseRange(range) {
+  range = String(range).trim();
+  // Dist-tags cannot be resolved offline; "latest" may be any published version
+  if (range === 'latest') range = '*';
+  
+  const sets = [];
+  for (const alternative of range.split(/\s*\|\|\s*/)) {
+    const hyphen = alternative.match(/^\s*(\S+)\s+-\s+(\S+)\s*$/);
+    if (hyphen) {
+      const from = parsePartialVersion(hyphen[1]);
+      const to = parsePartialVersion(hyphen[2]);
+      if (!from || !to) return null;
+      sets.push(desugarHyphen(from, to));
+      continue;
+    }
+    
+    const comparators = [];
+    // Operators may be separated from their version by whitespace (">= 1.2.3")
+    const tokens = alternative.replace(/(<=|>=|<|>|=|~>?|\^)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    for (const token of tokens) {
+      const match = token.match(/^(~>?|\^|<=|>=|<|>|=)?(.*)$/);
+      const partial = parsePartialVersion(match[2]);
+      if (!partial) return null;
       
-      // Recursively check nested dependencies
-      if (meta.dependencies) {
-        findings.push(...scanPackageLock({ dependencies: meta.dependencies }, compromised));
-      }
+      const operator = match[1] || '';
+      if (!partial.strict && !/^[~^]/.test(operator)) return null;
+      if (operator.startsWith('~')) comparators.push(...desugarTilde(partial));
+      else if (operator === '^') comparators.push(...desugarCaret(partial));
+      else comparators.push(...desugarPrimitive(operator, partial));
     }
+    // "*" adds nothing next to other comparators
+    const bounded = comparators.filter(c => c !== ANY_COMPARATOR);
+    sets.push(bounded.length ? bounded : [ANY_COMPARATOR]);
   }
-  return findings;
-}
-
-// 6. Main
-(async function main() {
-  // Process command line arguments
-  const args = process.argv.slice(2);
-  const isRecursive = args.includes('--recursive') || args.includes('-r');
-  const dirIndex = Math.max(args.indexOf('--dir'), args.indexOf('-d'));
-  const customDir = dirIndex >= 0 && args.length > dirIndex + 1 ? args[dirIndex + 1] : null;
   
-  const rootDir = customDir || '.';
+  // Like npm, a bare "*" alternative makes the whole range "*" (which excludes prereleases)
+  if (sets.length > 1 && sets.some(set => set.length === 1 && set[0] === ANY_COMPARATOR)) {
+    return [[ANY_COMPARATOR]];
+  }
+  return sets;
+}
 
-  console.log("Fetching compromised packages...");
-  const compromised = await fetchCompromisedPackages();
-  if (!Object.keys(compromised).length) {
-    console.log("No compromised packages found in advisories. Exiting.");
-    process.exit(0);
+function testComparator(c, version) {
+  if (!c.version) return true;
+  const cmp = compareVersions(version, c.version);
+  switch (c.operator) {
+    case '>': return cmp > 0;
+    case '>=': return cmp >= 0;
+    case '<': return cmp < 0;
+    case '<=': return cmp <= 0;
+    default: return cmp === 0;
   }
+}
+
+function testComparatorSet(set, version, includePrerelease = false) {
+  if (!set.every(c => testComparator(c, version))) return false;
   
-  // Track project stats
-  const stats = {
-    totalProjects: 0,
-    compromisedProjects: 0,
-    cleanProjects: 0
-  };
+  // A prerelease only satisfies a range if one of its comparators opts into prereleases
+  // of the same major.minor.patch (e.g. 1.2.3-beta.2 matches >=1.2.3-beta.1 but not >=1.2.0)
+  if (version.prerelease.length && !includePrerelease) {
+    return set.some(c => c.version && c.version.prerelease.length &&
+      c.version.major === version.major &&
+      c.version.minor === version.minor &&
+      c.version.patch === version.patch);
+  }
+  return true;
+}
 
-  if (isRecursive) {
-    // Scan all subdirectories with package.json files
-    await scanRecursively(rootDir, compromised, stats);
-    
-    // Print overall summary
-    console.log("\n" + "=".repeat(50));
-    console.log("SCAN SUMMARY");
-    console.log("=".repeat(50));
-    console.log(`Total projects scanned: ${stats.totalProjects}`);
-    
-    if (stats.compromisedProjects > 0) {
-      console.log(`🚨 Compromised packages found in ${stats.compromisedProjects} project(s)`);
+// Helper function to handle semver range checks: does `version` satisfy `versionRange`?
+function satisfiesRange(versionRange, version, { includePrerelease = false } = {}) {
+  const parsedVersion = parseVersion(version);
+  const sets = parseRange(versionRange);
+  // Tags, URLs, file: and git specs cannot be evaluated and never match
+  if (!parsedVersion || !sets) return false;
+  return sets.some(set => testComparatorSet(set, parsedVersion, includePrerelease));
+}
+
+// Could some version satisfy every comparator in the list? Compares the tightest lower
+// and upper bounds (prerelease opt-in rules are ignored).
+function comparatorsIntersect(comparators) {
+  let lower = null;
+  let upper = null;
+  for (const c of comparators) {
+    if (!c.version) continue;
+    if (c.operator === '') {
+      // An exact version must satisfy all the others
+      return comparators.every(other => testComparator(other, c.version));
+    }
+    const inclusive = c.operator.endsWith('=');
+    if (c.operator.startsWith('>')) {
+      const cmp = lower ? compareVersions(c.version, lower.version) : 1;
+      if (cmp > 0 || (cmp === 0 && !inclusive)) lower = { version: c.version, inclusive };
     } else {
-      console.log(`✅ No compromised packages found in ${stats.totalProjects} project(s)`);
+      const cmp = upper ? compareVersions(c.version, upper.version) : -1;
+      if (cmp < 0 || (cmp === 0 && !inclusive)) upper = { version: c.version, inclusive };
     }
-  } else {
-    // Only scan the specified directory
-    await scanDirectory(rootDir, compromised, stats);
   }
-  
-  // Print summary of compromised packages database
-  console.log(`\nAdvisory database summary:`);
-  console.log(`- Total compromised packages: ${Object.keys(compromised).length}`);
-  
-  // Print a few examples
-  const examples = Object.entries(compromised).slice(0, 5);
-  if (examples.length) {
-    console.log(`- Examples of compromised packages:`);
-    for (const [pkg, versions] of examples) {
-      console.log(`  * ${pkg} (${versions.length} versions)`);
+  if (!upper) return true;
+  // Nothing sorts below 0.0.0-0
+  if (!lower) lower = { version: { major: 0, minor: 0, patch: 0, prerelease: [0] }, inclusive: true };
+  const cmp = compareVersions(lower.version, upper.version);
+  return cmp < 0 || (cmp === 0 && lower.inclusive && upper.inclusive);
+}
+
+// Do two ranges overlap, i.e. is there a version both could resolve to?
+function rangesIntersect(rangeA, rangeB) {
+  const setsA = parseRange(rangeA);
+  const setsB = parseRange(rangeB);
+  if (!setsA || !setsB) return false;
+  return setsA.some(a => setsB.some(b => comparatorsIntersect([...a, ...b])));
+}
+
+// Does a declared range or locked version match a compromised entry? Entries are exact
+// versions, or ranges of affected versions from structured advisories (OSV, GHSA).
+function matchesCompromisedSpec(spec, compromisedSpec) {
+  if (spec === compromisedSpec) return true;
+  if (parseVersion(compromisedSpec)) return satisfiesRange(spec, compromisedSpec);
+  if (parseVersion(spec)) return satisfiesRange(compromisedSpec, spec, { includePrerelease: true });
+  return rangesIntersect(spec, compromisedSpec);
+}
+
+// The scanners match through an index of the compromised list, built on first use: per package,
+// each compromised spec parsed once, and the result of every spec matched so far (large
+// monorepos declare and lock the same versions many times). A list must not be changed after
+// it was first scanned with; pass a new object instead.
+const compromisedIndexes = new WeakMap();
+
+function getCompromisedIndex(compromised) {
+  let index = compromisedIndexes.get(compromised);
+  if (!index) {
+    index = new Map();
+    for (const [pkg, specs] of Object.entries(compromised)) {
+      index.set(pkg, {
+        candidates: Array.from(specs, spec => {
+          const version = parseVersion(spec);
+          return { spec, version, sets: version ? null : parseRange(spec) };
+        }),
+        matches: new Map()
+      });
     }
+    compromisedIndexes.set(compromised, index);
   }
+  return index;
+}
+
+// The first compromised spec of pkg a declared range or locked version matches, or null.
+// Same rules as matchesCompromisedSpec.
+function findCompromisedMatch(compromised, pkg, spec) {
+  const entry = getCompromisedIndex(compromised).get(pkg);
+  if (!entry) return null;
+  if (entry.matches.has(spec)) return entry.matches.get(spec);
   
-  // Exit with appropriate code
-  process.exit(stats.compromisedProjects > 0 ? 1 : 0);
-})();
+  const version = parseVersion(spec);
+  const sets = parseRange(spec);
+  const match = entry.candidates.find(candidate => {
+    if (candidate.spec === spec) return true;
+    if (candidate.version) return !!sets && sets.some(set => testComparatorSet(set, candidate.version));
+    if (!candidate.sets) return false;
+    if (version) return candidate.sets.some(set => testComparatorSet(set, version, true));
+    return !!sets && sets.some(a => candidate.sets.some(b => comparatorsIntersect([...a, ...b])));
+  });
+  entry.matches.set(spec, match ? match.spec : null);
+  return entry.matches.get(spec);
+}
 
-// Helper function to scan recursively
-async function scanRecursively(rootDir, compromised, stats) {
+// 4. Advisory database cache (lets scans run offline against a stored snapshot)
+function loadAdvisoryCache(cacheFile) {
   try {
-    // Get all directories with package.json files
-    const projectDirs = findAllProjectDirs(rootDir);
-    
-    // Scan each project directory
-    for (const dir of projectDirs) {
-      await scanDirectory(dir, compromised, stats);
-    }
+    const db = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (db && db.schemaVersion === CACHE_SCHEMA_VERSION && db.sources) return db;
+    log.warn(`Ignoring advisory cache ${cacheFile}: unsupported format`);
   } catch (e) {
-    console.error(`Error scanning recursively: ${e.message}`);
+    if (e.code !== 'ENOENT') log.warn(`Could not read advisory cache ${cacheFile}: ${e.message}`);
   }
+  return { schemaVersion: CACHE_SCHEMA_VERSION, updatedAt: null, sources: {} };
 }
 
-// Helper function to scan a single directory
-async function scanDirectory(dir, compromised, stats) {
-  console.log(`\nScanning directory: ${dir}`);
-  stats.totalProjects++;
-  
-  let findings = [];
-  let projectName = "Unknown Project";
-  
-  // Try to load package.json
-  let pkgData;
-  try { 
-    const pkgPath = path.join(dir, 'package.json');
-    pkgData = JSON.parse(fs.readFileSync(pkgPath, 'utf8')); 
-    projectName = pkgData.name || path.basename(dir);
-    console.log(`  Scanning package.json...`);
-    findings = scanPackageJSON(pkgData, compromised);
-  } catch (e) { 
-    console.log(`  No package.json found in ${dir}`); 
+function saveAdvisoryCache(cacheFile, db) {
+  try {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    db.updatedAt = new Date().toISOString();
+    // Write to a temporary file first so an interrupted run never leaves a truncated database
+    const tmpFile = `${cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(db, null, 2));
+    fs.renameSync(tmpFile, cacheFile);
+  } catch (e) {
+    log.warn(`Could not write advisory cache ${cacheFile}: ${e.message}`);
   }
+}
 
-  // Try to load package-lock.json
-  let pkgLockData = null;
-  try { 
-    const lockPath = path.join(dir, 'package-lock.json');
-    pkgLockData = JSON.parse(fs.readFileSync(lockPath, 'utf8')); 
-    console.log(`  Scanning package-lock.json...`);
-    findings.push(...scanPackageLock(pkgLockData, compromised));
-  } catch (e) { 
-    // Try npm v7+ format with "packages" field
-    try {
-      const lockPath = path.join(dir, 'package-lock.json');
-      pkgLockData = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
-      if (pkgLockData.packages) {
-        console.log(`  Scanning package-lock.json (npm v7+ format)...`);
-        findings.push(...scanPackageLockV7(pkgLockData, compromised));
-      }
-    } catch (e2) {
-      console.log(`  No package-lock.json found in ${dir}`);
-    }
+// Build the cache record for one source, keeping a fingerprint of the raw document it was parsed from
+function createCacheEntry(src, parser, raw, packages, validators = null) {
+  const entry = {
+    url: src.url,
+    type: src.type,
+    fetchedAt: new Date().toISOString(),
+    raw: {
+      sha256: crypto.createHash('sha256').update(raw).digest('hex'),
+      bytes: Buffer.byteLength(raw)
+    },
+    parser,
+    fingerprint: fingerprintPackages(packages),
+    packages: {}
+  };
+  // ETag / Last-Modified for conditional requests on the next fetch
+  if (validators && (validators.etag || validators.lastModified)) entry.http = validators;
+  for (const [pkg, versSet] of Object.entries(packages)) {
+    entry.packages[pkg] = Array.from(versSet);
   }
+  return entry;
+}
 
-  // Also check for pnpm-lock.yaml and yarn.lock (basic support)
-  try {
-    if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml'))) {
-      console.log(`  Found pnpm-lock.yaml (Note: basic support only)`);
-      // Basic message for now - detailed pnpm support could be added later
-    }
-  } catch (e) { /* ignore */ }
-  
-  try {
-    if (fs.existsSync(path.join(dir, 'yarn.lock'))) {
-      console.log(`  Found yarn.lock (Note: basic support only)`);
-      // Basic message for now - detailed yarn support could be added later
+// Fingerprint of a parsed advisory: counts plus a hash of the sorted package@version list, so a
+// changed page that still parses to the same data keeps its fingerprint
+function fingerprintPackages(packages) {
+  const specs = [];
+  for (const [pkg, versions] of Object.entries(packages)) {
+    for (const v of versions) specs.push(`${pkg}@${v}`);
+  }
+  specs.sort();
+  return {
+    sha256: crypto.createHash('sha256').update(specs.join('\n')).digest('hex'),
+    packages: Object.keys(packages).length,
+    versions: specs.length
+  };
+}
+
+// Compare a freshly parsed source with its last good snapshot from the cache. Returns the
+// package count delta, added and removed packages, and why the source looks degraded (if it does).
+function compareSourceSnapshot(previous, packages, src) {
+  const fingerprint = fingerprintPackages(packages);
+  const drift = {
+    fingerprint,
+    previousFingerprint: null,
+    changed: false,
+    packageCount: fingerprint.packages,
+    previousCount: null,
+    added: [],
+    removed: [],
+    degraded: false,
+    reasons: []
+  };
+  
+  if (previous) {
+    drift.previousFingerprint = previous.fingerprint || fingerprintPackages(previous.packages);
+    drift.changed = drift.previousFingerprint.sha256 !== fingerprint.sha256;
+    drift.previousCount = Object.keys(previous.packages).length;
+    drift.added = Object.keys(packages).filter(pkg => !(pkg in previous.packages)).sort();
+    drift.removed = Object.keys(previous.packages).filter(pkg => !(pkg in packages)).sort();
+  }
+  
+  const maxDrop = typeof src.maxDrop === 'number' ? src.maxDrop : DEFAULT_MAX_DROP;
+  if (drift.packageCount === 0) {
+    drift.reasons.push('parser returned no packages');
+  } else if (drift.previousCount && drift.packageCount < drift.previousCount * (1 - maxDrop)) {
+    drift.reasons.push(`package count dropped from ${drift.previousCount} to ${drift.packageCount}`);
+  }
+  drift.degraded = drift.reasons.length > 0;
+  return drift;
+}
+
+// Parse durations like "30m", "12h" or "7d" into milliseconds (plain numbers are seconds)
+function parseDuration(str) {
+  const match = String(str).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${str}" (expected e.g. 30m, 12h, 7d)`);
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  return parseFloat(match[1]) * units[(match[2] || 's').toLowerCase()];
+}
+
+function isCacheEntryFresh(entry, maxAge) {
+  return maxAge === null || Date.now() - Date.parse(entry.fetchedAt) <= maxAge;
+}
+
+// 5. Advisory source registry
+// Parsers take the raw document (text, or a Buffer for binary parsers) and the source
+// definition, and return { packageName: Set|Array of versions or version ranges }
+const PARSERS = {};
+
+function registerParser(name, parse, { binary = false } = {}) {
+  if (typeof parse !== 'function') {
+    throw new Error(`Parser "${name}" must be a function`);
+  }
+  PARSERS[name] = { parse, binary };
+}
+
+registerParser('stepsecurity', parseStepSecurity);
+registerParser('ox', parseOX);
+registerParser('wiz', parseWiz);
+registerParser('github', parseGitHubAdvisory);
+registerParser('generic', parseGeneric);
+registerParser('osv', parseOSV, { binary: true });
+registerParser('ghsa', parseGHSA);
+
+// Read a source list: either an array of sources or an object with "sources" (and optionally
+// "parsers", mapping parser names to JS modules, and "replaceDefaultSources")
+function readSourceConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const baseDir = path.dirname(path.resolve(file));
+  const normalized = Array.isArray(config) ? { sources: config } : config;
+  
+  // Custom parsers are modules exporting a parse(html) function
+  for (const [name, modulePath] of Object.entries(normalized.parsers || {})) {
+    const parserModule = require(path.resolve(baseDir, modulePath));
+    registerParser(name, typeof parserModule === 'function' ? parserModule : parserModule.parse);
+  }
+  
+  // Local file sources are resolved relative to the file that declares them
+  const sources = (normalized.sources || []).map(src => (
+    src.path ? { ...src, path: path.resolve(baseDir, src.path) } : { ...src }
+  ));
+  return { sources, replaceDefaultSources: !!normalized.replaceDefaultSources };
+}
+
+// Build the effective source list from the built-in sources and any config files.
+// A configured source with the same name as an existing one overrides its fields.
+function loadAdvisorySources({ configFile = null, sourcesFile = null } = {}) {
+  let sources = ADVISORY_SOURCES.map(src => ({ ...src }));
+  
+  const files = [];
+  if (configFile) files.push(configFile);
+  else if (fs.existsSync(CONFIG_FILE_NAME)) files.push(CONFIG_FILE_NAME);
+  if (sourcesFile) files.push(sourcesFile);
+  
+  for (const file of files) {
+    const config = readSourceConfig(file);
+    if (config.replaceDefaultSources) sources = [];
+    
+    for (const src of config.sources) {
+      const existing = src.name && sources.find(s => s.name === src.name);
+      if (existing) {
+        Object.assign(existing, src);
+        // Pointing a source at a local copy (or back at a URL) replaces the previous location
+        if (src.path) delete existing.url;
+        if (src.url) delete existing.path;
+      } else {
+        sources.push(src);
+      }
+    }
+  }
+  
+  return sources.map(normalizeAdvisorySource);
+}
+
+function normalizeAdvisorySource(src) {
+  if (!src.url && !src.path) {
+    throw new Error(`Advisory source ${src.name || JSON.stringify(src)} needs a "url" or "path"`);
+  }
+  const file = src.path ? path.resolve(src.path) : null;
+  return {
+    ...src,
+    ...(file ? { path: file } : {}),
+    // Local files are identified (and cached) by their file:// URL
+    url: file ? pathToFileURL(file).href : src.url,
+    type: src.type || 'generic',
+    enabled: src.enabled !== false,
+    weight: typeof src.weight === 'number' ? src.weight : 1
+  };
+}
+
+// Exit-code policy from the "policy" block of the config file, e.g.
+// { "failOn": "locked", "failOnAdvisoryErrors": false, "minConfidence": 0.5 }.
+// --fail-on and --min-confidence take precedence.
+function loadPolicy(configFile, { failOn: failOnArg = null, minConfidence: minConfidenceArg = null } = {}) {
+  const file = configFile || (fs.existsSync(CONFIG_FILE_NAME) ? CONFIG_FILE_NAME : null);
+  const config = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const policy = (!Array.isArray(config) && config.policy) || {};
+  
+  const requested = String(failOnArg || policy.failOn || 'range-could-resolve').toLowerCase();
+  const failOn = SEVERITY_ALIASES[requested] || requested;
+  if (failOn !== 'none' && !SEVERITY_CLASSES.includes(failOn)) {
+    throw new Error(`unknown fail-on class "${requested}" (expected one of: ${[...SEVERITY_CLASSES, ...Object.keys(SEVERITY_ALIASES), 'none'].join(', ')})`);
+  }
+  
+  const minConfidence = Number(minConfidenceArg !== null ? minConfidenceArg : (policy.minConfidence || 0));
+  if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+    throw new Error(`minimum confidence must be a number between 0 and 1, got "${minConfidenceArg !== null ? minConfidenceArg : policy.minConfidence}"`);
+  }
+  return { failOn, failOnAdvisoryErrors: policy.failOnAdvisoryErrors !== false, minConfidence };
+}
+
+// 6. Fetch and parse all advisories
+function parseAdvisory(src, raw) {
+  // Select parser based on source type
+  let parser = src.type;
+  if (!PARSERS[parser]) {
+    log.warn(`Unknown source type: ${src.type}, trying generic parser`);
+    parser = 'generic';
+  }
+  
+  const { parse, binary } = PARSERS[parser];
+  const packages = {};
+  for (const [pkg, versions] of Object.entries(parse(binary ? raw : raw.toString('utf8'), src) || {})) {
+    packages[pkg] = new Set(versions);
+  }
+  return { parser, packages };
+}
+
+// Read a source's raw document as a Buffer, from disk for local sources or over HTTP(S).
+// Remote sources are revalidated with the ETag / Last-Modified recorded in the cached snapshot.
+async function readAdvisorySource(src, cached = null, httpOptions = {}) {
+  if (src.path) return { raw: await fs.promises.readFile(src.path), notModified: false, validators: null };
+  
+  // A snapshot parsed with a different parser must be downloaded again
+  const validators = cached && cached.type === src.type && cached.http ? cached.http : {};
+  const res = await fetchResource(src.url, {
+    ...httpOptions,
+    ...(src.maxBytes ? { maxBytes: src.maxBytes } : {}),
+    etag: validators.etag,
+    lastModified: validators.lastModified
+  });
+  if (res.notModified && !validators.etag && !validators.lastModified) {
+    throw new Error('HTTP 304 Not Modified for an unconditional request');
+  }
+  return {
+    raw: res.body,
+    notModified: res.notModified,
+    validators: { etag: res.headers.etag || null, lastModified: res.headers['last-modified'] || null }
+  };
+}
+
+async function fetchCompromisedPackages(options = {}) {
+  const {
+    cacheFile = DEFAULT_CACHE_FILE,
+    offline = false,
+    refresh = false,
+    maxAge = null,
+    sources: advisorySources = ADVISORY_SOURCES,
+    http: httpOptions = {}
+  } = options;
+  
+  const cache = loadAdvisoryCache(cacheFile);
+  let masterList = {};
+  let provenance = {};
+  let cacheUpdated = false;
+  let pendingRequests = [];
+  
+  // Start all requests in parallel.
+  // Each request resolves to { name, url, type, weight, status: fetched|cached|degraded|failed, fetchedAt, parser, packages, error, drift }
+  for (const src of advisorySources) {
+    if (src.enabled === false) {
+      log.info(`Skipping disabled source ${src.name || src.url}`);
+      continue;
+    }
+    
+    pendingRequests.push(
+      (async () => {
+        const cached = cache.sources[src.url];
+        const status = {
+          name: src.name || null,
+          url: src.url,
+          type: src.type,
+          weight: typeof src.weight === 'number' ? src.weight : 1,
+          status: 'failed',
+          fetchedAt: null,
+          packages: {},
+          error: null
+        };
+        const useCached = (reason) => {
+          Object.assign(status, { status: 'cached', fetchedAt: cached.fetchedAt, parser: cached.parser, packages: cached.packages, error: reason });
+          return status;
+        };
+        
+        // Serve from the cache when offline, or when the cached copy is young enough.
+        // Local files are always read directly.
+        if (!src.path && (offline || (!refresh && maxAge !== null && cached && isCacheEntryFresh(cached, maxAge)))) {
+          if (!cached) {
+            log.error(`No cached data for ${src.url}`);
+            status.error = 'No cached data';
+            return status;
+          }
+          if (!isCacheEntryFresh(cached, maxAge)) {
+            log.error(`Cached data for ${src.url} is older than --max-age (fetched ${cached.fetchedAt})`);
+            status.error = 'Cached data is older than --max-age';
+            return status;
+          }
+          log.info(`Using cached data for ${src.url} (fetched ${cached.fetchedAt})`);
+          return useCached(null);
+        }
+        
+        log.info(src.path ? `Reading ${src.path}...` : `Fetching from ${src.url}...`);
+        let raw, notModified, validators;
+        try { 
+          ({ raw, notModified, validators } = await readAdvisorySource(src, cached, httpOptions)); 
+        } catch (e) {
+          log.error(`Failed to fetch ${src.url}: ${e.message}`);
+          if (cached) {
+            log.warn(`  Falling back to cached data (fetched ${cached.fetchedAt})`);
+            return useCached(e.message);
+          }
+          status.error = e.message;
+          return status;
+        }
+        
+        status.status = 'fetched';
+        status.fetchedAt = new Date().toISOString();
+        if (notModified) {
+          // The server confirmed the cached snapshot is current
+          log.info(`${src.url} not modified since ${cached.fetchedAt}`);
+          cached.fetchedAt = status.fetchedAt;
+          cacheUpdated = true;
+          Object.assign(status, {
+            parser: cached.parser,
+            packages: cached.packages,
+            drift: compareSourceSnapshot(cached, cached.packages, src)
+          });
+          return status;
+        }
+        try {
+          const { parser, packages } = parseAdvisory(src, raw);
+          log.info(`Found ${Object.keys(packages).length} packages from ${src.url}`);
+          status.parser = parser;
+          
+          status.drift = compareSourceSnapshot(cached, packages, src);
+          if (status.drift.degraded) {
+            // Keep the last good snapshot and scan with it plus anything new, rather than under-report
+            log.error(`🚨 Advisory source ${src.name || src.url} looks degraded: ${status.drift.reasons.join('; ')}`);
+            status.status = 'degraded';
+            status.error = status.drift.reasons.join('; ');
+            status.packages = mergePackageLists(cached ? cached.packages : {}, packages);
+            return status;
+          }
+          
+          cache.sources[src.url] = createCacheEntry(src, parser, raw, packages, validators);
+          cacheUpdated = true;
+          
+          status.packages = packages;
+        } catch (e) {
+          log.error(`Error parsing data from ${src.url}: ${e.message}`);
+          status.error = `parse error: ${e.message}`;
+          if (cached) {
+            // The document changed in a way the parser cannot handle: scan with the last good snapshot, loudly
+            log.warn(`  Falling back to cached data (fetched ${cached.fetchedAt})`);
+            Object.assign(status, { status: 'degraded', parser: cached.parser, packages: cached.packages });
+          } else {
+            status.status = 'failed';
+          }
+        }
+        return status;
+      })().then(status => {
+        emitProgress('source', { source: summarizeSourceStatus(status) });
+        return status;
+      })
+    );
+  }
+  
+  // Wait for all requests to complete
+  const results = await Promise.allSettled(pendingRequests);
+  const sources = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+  
+  // Merge all results, remembering which sources (and parsers) listed each version
+  for (const source of sources) {
+    for (const [pkg, versSet] of Object.entries(source.packages)) {
+      if (!(pkg in masterList)) masterList[pkg] = new Set();
+      if (!(pkg in provenance)) provenance[pkg] = {};
+      for (const v of versSet) {
+        masterList[pkg].add(v);
+        if (!provenance[pkg][v]) provenance[pkg][v] = [];
+        provenance[pkg][v].push({ name: source.name, url: source.url, parser: source.parser || source.type, weight: source.weight });
+      }
+    }
+  }
+  
+  // Score every listed version, and order each package's versions most confident first so
+  // a finding reports the best-supported match
+  const confidence = {};
+  for (const pkg in masterList) {
+    confidence[pkg] = {};
+    for (const v of masterList[pkg]) {
+      confidence[pkg][v] = computeConfidence(provenance[pkg][v]);
+    }
+    masterList[pkg] = Array.from(masterList[pkg]).sort((a, b) => confidence[pkg][b] - confidence[pkg][a]);
+  }
+  
+  if (cacheUpdated) {
+    saveAdvisoryCache(cacheFile, cache);
+  }
+  
+  const countStatus = (status) => sources.filter(src => src.status === status).length;
+  const degraded = countStatus('degraded') ? `, ${countStatus('degraded')} degraded` : '';
+  log.info(`Advisory sources: ${countStatus('fetched')} fetched, ${countStatus('cached')} from cache, ${countStatus('failed')} failed${degraded}`);
+  log.info(`Total unique packages found: ${Object.keys(masterList).length}`);
+  
+  return {
+    compromised: masterList,
+    provenance,
+    confidence,
+    sources: sources.map(summarizeSourceStatus)
+  };
+}
+
+// Source status as reported: the package count instead of the package list
+function summarizeSourceStatus({ packages, ...src }) {
+  return { ...src, packageCount: Object.keys(packages).length };
+}
+
+// Independent sources agreeing raise confidence: 1 - the product of (1 - per-source confidence),
+// where each listing counts with its parser's confidence scaled by the source weight (at most 1)
+function computeConfidence(listings) {
+  let doubt = 1;
+  for (const listing of listings) {
+    const parserConfidence = listing.parser in PARSER_CONFIDENCE ? PARSER_CONFIDENCE[listing.parser] : DEFAULT_PARSER_CONFIDENCE;
+    doubt *= 1 - Math.min(1, parserConfidence * listing.weight);
+  }
+  return Math.round((1 - doubt) * 100) / 100;
+}
+
+// Drop advisory entries below --min-confidence; returns how many were dropped
+function applyMinConfidence(compromised, confidence, minConfidence) {
+  let dropped = 0;
+  for (const pkg of Object.keys(compromised)) {
+    const kept = compromised[pkg].filter(v => confidence[pkg][v] >= minConfidence);
+    dropped += compromised[pkg].length - kept.length;
+    if (kept.length) compromised[pkg] = kept;
+    else delete compromised[pkg];
+  }
+  return dropped;
+}
+
+function mergePackageLists(...lists) {
+  const merged = {};
+  for (const list of lists) {
+    for (const [pkg, versions] of Object.entries(list)) {
+      if (!merged[pkg]) merged[pkg] = new Set();
+      for (const v of versions) merged[pkg].add(v);
+    }
+  }
+  return merged;
+}
+
+// 7. Scan local project files
+function scanPackageJSON(pkgData, compromised) {
+  const findings = [];
+  const sections = [
+    "dependencies", "devDependencies", "peerDependencies",
+    "optionalDependencies", "bundleDependencies", "bundledDependencies"
+  ];
+  for (const section of sections) {
+    if (pkgData[section]) {
+      for (const [pkg, versionRange] of Object.entries(pkgData[section])) {
+        // Exact match, or a range that could include the compromised version(s)
+        const matchedVersion = findCompromisedMatch(compromised, pkg, versionRange);
+        if (matchedVersion !== null) {
+          findings.push({ pkg, version: versionRange, matchedVersion, section });
+        }
+      }
+    }
+  }
+  return findings;
+}
+
+// Check a resolved (locked) package version against the compromised list
+function matchLockedVersion(pkg, version, section, compromised) {
+  // Exact match, or a version within the compromised range(s)
+  const matchedVersion = findCompromisedMatch(compromised, pkg, version);
+  return matchedVersion === null ? null : { pkg, version, matchedVersion, section };
+}
+
+function scanPackageLock(pkgLockData, compromised, parentPath = '') {
+  const findings = [];
+  if (pkgLockData.dependencies) {
+    for (const [name, meta] of Object.entries(pkgLockData.dependencies)) {
+      if (!meta.version) continue;
+      const lockPath = `${parentPath ? parentPath + '/' : ''}node_modules/${name}`;
+      
+      // Aliased installs are recorded as { "version": "npm:real-pkg@1.2.3" }
+      let pkg = name;
+      let version = meta.version;
+      if (version.startsWith('npm:')) {
+        ({ name: pkg, range: version } = splitPackageSpec(version.slice(4)));
+      }
+      
+      // Check if package name is in the compromised list
+      const finding = matchLockedVersion(pkg, version, "package-lock", compromised);
+      if (finding) {
+        finding.lockPath = lockPath;
+        findings.push(finding);
+      }
+      
+      // Recursively check nested dependencies
+      if (meta.dependencies) {
+        findings.push(...scanPackageLock({ dependencies: meta.dependencies }, compromised, lockPath));
+      }
+    }
+  }
+  return findings;
+}
+
+// Severity class of a finding: an IOC, a compromised package confirmed on disk, a locked (or
+// exactly pinned) compromised version, or a declared range that merely could resolve to one
+function classifyFinding(f) {
+  if (f.type === 'ioc') return 'ioc';
+  if (f.section === 'installed') return 'confirmed-installed';
+  if (LOCKFILE_SECTIONS.includes(f.section) || parseVersion(f.version)) return 'locked';
+  return 'range-could-resolve';
+}
+
+// Attach the advisories that listed the matched version and how confident the match is.
+// IOCs are direct evidence on disk.
+function attachProvenance(f, advisories) {
+  const listings = (advisories && advisories.provenance[f.pkg] && advisories.provenance[f.pkg][f.matchedVersion]) || [];
+  f.sources = listings.map(listing => listing.url);
+  f.provenance = listings.map(({ name, url, parser }) => ({ source: name, url, parser }));
+  if (f.type === 'ioc') f.confidence = 1;
+  else f.confidence = advisories && advisories.confidence[f.pkg] ? advisories.confidence[f.pkg][f.matchedVersion] || 0 : 0;
+}
+
+function isFailingFinding(f, failOn) {
+  if (failOn === 'none') return false;
+  return SEVERITY_CLASSES.indexOf(f.severity) >= SEVERITY_CLASSES.indexOf(failOn);
+}
+
+// 8. Reporters (text, json, sarif, junit)
+const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+// One-line description of a finding, shared by the text and JUnit reporters
+function describeFinding(f) {
+  if (f.type === 'ioc') {
+    return `${f.pkg}@${f.version} [${f.section}] ${f.indicator} (${f.file})`;
+  }
+  return `${f.pkg}@${formatFindingVersion(f)} [${f.section}]${f.component ? ` component ${f.component}` : ''}`;
+}
+
+function formatFindingVersion(f) {
+  return f.matchedVersion && f.matchedVersion !== f.version ? `${f.version} (matches ${f.matchedVersion})` : f.version;
+}
+
+// Dependency chains of a lockfile finding, e.g. "app → eslint-plugin-x@2.1.0 → @ctrl/tinycolor@4.1.1"
+function formatDependencyPaths(f) {
+  const paths = (f.paths || []).map(chain => chain.join(' → '));
+  if (f.pathsTruncated) paths.push(`... (only the first ${paths.length} paths are shown)`);
+  return paths;
+}
+
+function formatProjectText(project) {
+  const lines = [];
+  if (project.findings.length) {
+    lines.push(`  🚨 Detected compromised packages in ${project.name}:`);
+    for (const f of project.findings) {
+      let via = f.importers && f.importers.length ? ` (importers: ${f.importers.join(', ')})` : '';
+      if (project.workspaces) via += ` (workspaces: ${f.workspaces.join(', ')})`;
+      if (f.suppression) via += ` (suppression expired ${f.suppression.expires}: ${f.suppression.reason})`;
+      lines.push(`  - ${describeFinding(f)} (${f.severity}, confidence ${f.confidence})${via}`);
+      for (const chain of formatDependencyPaths(f)) {
+        lines.push(`      ${chain}`);
+      }
+    }
+  } else {
+    lines.push(`  ✅ No compromised packages detected in ${project.name}`);
+  }
+  if (project.suppressed && project.suppressed.length) {
+    lines.push(`  🔕 Suppressed findings in ${project.name}:`);
+    for (const f of project.suppressed) {
+      lines.push(`  - ${describeFinding(f)} (until ${f.suppression.expires}: ${f.suppression.reason})`);
+    }
+  }
+  
+  // Monorepos: one line per workspace, then a verdict for the whole repository
+  if (project.workspaces) {
+    const affected = project.workspaces.filter(ws => ws.findings > 0);
+    lines.push(`  Workspaces:`);
+    for (const ws of project.workspaces) {
+      const status = ws.findings ? `🚨 ${ws.findings} finding(s)` : '✅ clean';
+      lines.push(`    ${ws.name} (${ws.path}): ${status}`);
+    }
+    lines.push(affected.length
+      ? `  🚨 Monorepo verdict: compromised (${affected.length} of ${project.workspaces.length} workspaces affected)`
+      : `  ✅ Monorepo verdict: clean (${project.workspaces.length} workspaces)`);
+  }
+  return lines;
+}
+
+function formatText(report) {
+  const lines = [];
+  for (const project of report.projects) {
+    lines.push('', project.sbom ? `Scanning SBOM: ${project.sbom.file}` : `Scanning directory: ${project.path}`, ...formatProjectText(project));
+  }
+  if (report.diff) {
+    // Diff mode does not scan projects
+    lines.push(...formatDiffText(report.diff), '');
+  } else {
+    lines.push('', '='.repeat(50), 'SCAN SUMMARY', '='.repeat(50));
+    lines.push(`Total projects scanned: ${report.summary.totalProjects}`);
+    if (report.summary.compromisedProjects > 0) {
+      lines.push(`🚨 Compromised packages found in ${report.summary.compromisedProjects} project(s)`);
+    } else {
+      lines.push(`✅ No compromised packages found in ${report.summary.totalProjects} project(s)`);
+    }
+  }
+  if (report.summary.suppressedFindings) {
+    lines.push(`🔕 ${report.summary.suppressedFindings} suppressed finding(s)`);
+  }
+  if (report.history) {
+    lines.push(...formatHistoryText(report.history));
+  }
+  if (report.system) {
+    lines.push(...formatSystemText(report.system));
+  }
+  if (report.triage) {
+    lines.push(...formatTriageText(report.triage));
+  }
+  const failOn = report.policy.failOn === 'none' ? 'nothing' : `${report.policy.failOn} or more severe`;
+  lines.push(`Policy: fail on ${failOn} (${report.summary.failingFindings} failing finding(s))`);
+  for (const fix of report.fixes || []) {
+    lines.push('', ...formatFixText(fix));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatJSON(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+// Paths in SARIF are relative to the working directory so code scanning can map them to the repository
+function toReportPath(file) {
+  return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+}
+
+function formatSARIF(report) {
+  const results = [];
+  // Findings in projects, and in the npm cache, npx and global installs (--system)
+  const findingGroups = [
+    ...report.projects.map(project => ({ dir: project.path, findings: [...project.findings, ...(project.suppressed || [])] })),
+    ...(report.diff ? report.diff.lockfiles : []).map(lockfile => ({ dir: report.root, findings: [...lockfile.findings, ...lockfile.suppressed] })),
+    ...(report.system ? report.system.locations : []).map(location => ({ dir: location.path, findings: location.findings }))
+  ];
+  for (const { dir, findings } of findingGroups) {
+    for (const f of findings) {
+      const location = {
+        physicalLocation: {
+          artifactLocation: { uri: toReportPath(path.join(dir, f.file)) },
+          region: { startLine: f.line || 1 }
+        }
+      };
+      // SBOM findings also name the component they were found in
+      if (f.component) location.logicalLocations = [{ name: f.component, kind: 'component' }];
+      const text = f.type === 'ioc'
+        ? `${f.indicator} found in installed package ${f.pkg}@${f.version}`
+        : `${f.pkg}@${formatFindingVersion(f)} in ${f.section}${f.component ? ` component ${f.component}` : ''} is a known compromised version` +
+          (f.sources.length ? ` (reported by ${f.sources.join(', ')})` : '') +
+          (f.paths && f.paths.length ? `. Dependency paths: ${formatDependencyPaths(f).join('; ')}` : '');
+      const result = {
+        ruleId: f.type === 'ioc' ? 'shai-hulud-ioc' : 'compromised-package',
+        level: isFailingFinding(f, report.policy.failOn) ? 'error' : 'warning',
+        message: { text },
+        locations: [location],
+        properties: {
+          package: f.pkg,
+          version: f.version,
+          matchedVersion: f.matchedVersion,
+          section: f.section,
+          severity: f.severity,
+          confidence: f.confidence,
+          indicator: f.indicator,
+          sources: f.sources,
+          provenance: f.provenance,
+          paths: f.paths,
+          component: f.component,
+          purl: f.purl
+        }
+      };
+      // Suppressed findings stay visible in code scanning, marked as dismissed with the justification
+      if (f.suppression && !f.suppression.expired) {
+        result.suppressions = [{ kind: 'external', status: 'accepted', justification: `${f.suppression.reason} (until ${f.suppression.expires})` }];
+      }
+      results.push(result);
+    }
+  }
+  // Historical exposures point at the lockfile; the version may no longer be in it
+  for (const exposure of report.history ? report.history.exposures : []) {
+    results.push({
+      ruleId: 'compromised-package-history',
+      level: isFailingFinding(exposure, report.policy.failOn) ? 'error' : 'warning',
+      message: { text: `${exposure.pkg}@${exposure.version} was ${describeExposureWindow(exposure, report.history.since)}` },
+      locations: [{ physicalLocation: { artifactLocation: { uri: toReportPath(path.join(report.root, exposure.lockfile)) } } }],
+      properties: {
+        package: exposure.pkg,
+        version: exposure.version,
+        matchedVersion: exposure.matchedVersion,
+        introducedIn: exposure.introducedIn,
+        removedIn: exposure.removedIn,
+        stillLocked: exposure.stillLocked,
+        confidence: exposure.confidence,
+        sources: exposure.sources
+      }
+    });
+  }
+  
+  // Packages with install scripts added by the change (--diff)
+  for (const lockfile of report.diff ? report.diff.lockfiles : []) {
+    for (const pkg of lockfile.installScripts) {
+      results.push({
+        ruleId: 'new-install-script',
+        level: report.policy.failOn === 'none' ? 'warning' : 'error',
+        message: { text: `${pkg.name}@${pkg.version} is added by this change and runs an install script` },
+        locations: [{ physicalLocation: { artifactLocation: { uri: toReportPath(path.join(report.root, lockfile.file)) } } }],
+        properties: { package: pkg.name, version: pkg.version, base: lockfile.base }
+      });
+    }
+    for (const pkg of lockfile.unknownInstallScripts) {
+      results.push({
+        ruleId: 'new-install-script',
+        level: 'warning',
+        message: { text: `${pkg.name}@${pkg.version} is added by this change; whether it runs an install script is unknown` },
+        locations: [{ physicalLocation: { artifactLocation: { uri: toReportPath(path.join(report.root, lockfile.file)) } } }],
+        properties: { package: pkg.name, version: pkg.version, base: lockfile.base, installScript: 'unknown' }
+      });
+    }
+  }
+  
+  for (const repo of report.triage ? report.triage.repositories : []) {
+    for (const f of repo.findings) {
+      const artifact = f.file && f.kind === 'workflow' ? toReportPath(path.join(repo.path, f.file)) : toReportPath(repo.path);
+      results.push({
+        ruleId: 'shai-hulud-repository',
+        level: isFailingFinding(f, report.policy.failOn) ? 'error' : 'warning',
+        message: { text: `${describeTriageFinding(f)} in ${repo.path}: ${f.indicators.join('; ')}` },
+        locations: [{ physicalLocation: { artifactLocation: { uri: artifact } } }],
+        properties: { kind: f.kind, repository: repo.path, ref: f.ref, commit: f.commit, indicators: f.indicators }
+      });
+    }
+  }
+  
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'worm-scanner',
+          informationUri: 'https://github.com/smoki99/vuln-package_scanner',
+          rules: [{
+            id: 'compromised-package',
+            name: 'CompromisedPackage',
+            shortDescription: { text: 'Dependency resolves to a compromised package version' },
+            fullDescription: { text: 'The dependency matches a package version listed as compromised in the Shai-Hulud npm supply-chain attack advisories.' },
+            defaultConfiguration: { level: 'error' }
+          }, {
+            id: 'shai-hulud-ioc',
+            name: 'ShaiHuludIndicator',
+            shortDescription: { text: 'Installed package contains a Shai-Hulud indicator of compromise' },
+            fullDescription: { text: 'An installed package contains a known Shai-Hulud payload hash, workflow file, exfiltration URL or install script.' },
+            defaultConfiguration: { level: 'error' }
+          }, {
+            id: 'compromised-package-history',
+            name: 'CompromisedPackageInHistory',
+            shortDescription: { text: 'A compromised package version was locked in an earlier commit' },
+            fullDescription: { text: 'A lockfile revision on the current branch locked a package version listed as compromised, so it may have been installed while that revision was checked out.' },
+            defaultConfiguration: { level: 'error' }
+          }, {
+            id: 'new-install-script',
+            name: 'NewInstallScript',
+            shortDescription: { text: 'The change adds a package that runs an install script' },
+            fullDescription: { text: 'A package added to the lockfile by this change runs a preinstall, install or postinstall script, the way the Shai-Hulud payload executes. Review it before merging.' },
+            defaultConfiguration: { level: 'error' }
+          }, {
+            id: 'shai-hulud-repository',
+            name: 'ShaiHuludRepositoryArtefact',
+            shortDescription: { text: 'Repository contains a Shai-Hulud workflow, branch or remote' },
+            fullDescription: { text: 'The repository contains an artefact the Shai-Hulud worm leaves behind after running on a developer machine or CI runner: an exfiltration workflow, a shai-hulud branch or a "-migration" remote.' },
+            defaultConfiguration: { level: 'error' }
+          }]
+        }
+      },
+      results
+    }]
+  };
+  return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+function escapeXML(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function formatJUnit(report) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  // Findings below the --fail-on class are reported as passing test cases with their details
+  const failures = countFailures(report);
+  const exposures = report.history ? report.history.exposures : [];
+  const systemFindings = report.system ? report.system.locations.flatMap(location => location.findings.map(f => ({ location, f }))) : [];
+  const diffCases = report.diff ? report.diff.lockfiles.flatMap(lockfile => [
+    ...lockfile.findings.map(f => ({
+      name: `${lockfile.file}: ${f.pkg}@${f.version}`,
+      message: `Introduces ${describeFinding(f)}`,
+      type: f.severity,
+      failing: isFailingFinding(f, report.policy.failOn)
+    })),
+    ...lockfile.installScripts.map(pkg => ({
+      name: `${lockfile.file}: ${pkg.name}@${pkg.version}`,
+      message: `Adds ${pkg.name}@${pkg.version}, which runs an install script`,
+      type: 'install-script',
+      failing: report.policy.failOn !== 'none'
+    })),
+    ...lockfile.unknownInstallScripts.map(pkg => ({
+      name: `${lockfile.file}: ${pkg.name}@${pkg.version}`,
+      message: `Adds ${pkg.name}@${pkg.version}; install script unknown (not recorded in the lockfile, not in node_modules)`,
+      type: 'install-script',
+      failing: false
+    }))
+  ]) : [];
+  // Repositories without worm artefacts get a passing test case each
+  const triageCases = report.triage ? report.triage.repositories.flatMap(repo => repo.findings.length ? repo.findings.map(f => ({
+    name: `${repo.path}: ${describeTriageFinding(f)}`,
+    message: `${describeTriageFinding(f)}: ${f.indicators.join('; ')}`,
+    failing: isFailingFinding(f, report.policy.failOn)
+  })) : [{ name: `${repo.path}: no Shai-Hulud workflows, branches or remotes` }]) : [];
+  // Every test suite has at least one test case, a passing one when it found nothing
+  const totalTests = report.projects.reduce((sum, project) => sum + Math.max(project.findings.length + project.suppressed.length, 1), 0) +
+    (report.history ? Math.max(exposures.length, 1) : 0) +
+    (report.diff ? Math.max(diffCases.length, 1) : 0) +
+    (report.system ? Math.max(systemFindings.length, 1) : 0) +
+    (report.triage ? Math.max(triageCases.length, 1) : 0);
+  lines.push(`<testsuites name="worm-scanner" tests="${Math.max(totalTests, 1)}" failures="${report.summary.failingFindings}" skipped="${report.summary.suppressedFindings}">`);
+  for (const project of report.projects) {
+    const projectFailures = project.findings.filter(f => isFailingFinding(f, report.policy.failOn)).length;
+    const skipped = project.suppressed.length;
+    lines.push(`  <testsuite name="${escapeXML(project.sbom ? project.sbom.file : project.path)}" tests="${Math.max(project.findings.length + skipped, 1)}" failures="${projectFailures}" skipped="${skipped}">`);
+    if (!project.findings.length && !skipped) {
+      lines.push(`    <testcase classname="${escapeXML(project.name)}" name="No compromised packages"/>`);
+    }
+    for (const f of project.findings) {
+      const message = describeFinding(f);
+      const details = escapeXML([
+        message,
+        `Severity: ${f.severity}`,
+        `Confidence: ${f.confidence}`,
+        `File: ${path.join(project.path, f.file)}:${f.line || 1}`,
+        `Sources: ${f.sources.join(', ') || 'unknown'}`,
+        ...(f.paths && f.paths.length ? ['Dependency paths:', ...formatDependencyPaths(f).map(chain => `  ${chain}`)] : [])
+      ].join('\n'));
+      lines.push(`    <testcase classname="${escapeXML(project.name)}" name="${escapeXML(`${f.file}: ${f.pkg}`)}">`);
+      if (isFailingFinding(f, report.policy.failOn)) {
+        lines.push(`      <failure type="${f.severity}" message="${escapeXML(message)}">${details}</failure>`);
+      } else {
+        lines.push(`      <system-out>${details}</system-out>`);
+      }
+      lines.push('    </testcase>');
+    }
+    for (const f of project.suppressed) {
+      lines.push(`    <testcase classname="${escapeXML(project.name)}" name="${escapeXML(`${f.file}: ${f.pkg}`)}">`);
+      lines.push(`      <skipped message="${escapeXML(`Suppressed until ${f.suppression.expires}: ${f.suppression.reason}`)}"/>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  if (report.history) {
+    lines.push(`  <testsuite name="git history" tests="${Math.max(exposures.length, 1)}" failures="${failures.history}">`);
+    if (!exposures.length) {
+      lines.push(`    <testcase classname="git history" name="No compromised version was ever locked"/>`);
+    }
+    for (const exposure of exposures) {
+      const message = `${exposure.pkg}@${exposure.version} was ${describeExposureWindow(exposure, report.history.since)}`;
+      lines.push(`    <testcase classname="git history" name="${escapeXML(`${exposure.lockfile}: ${exposure.pkg}@${exposure.version}`)}">`);
+      lines.push(isFailingFinding(exposure, report.policy.failOn)
+        ? `      <failure type="locked" message="${escapeXML(message)}">${escapeXML(message)}</failure>`
+        : `      <system-out>${escapeXML(message)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  if (report.diff) {
+    lines.push(`  <testsuite name="lockfile diff" tests="${Math.max(diffCases.length, 1)}" failures="${failures.diff}">`);
+    if (!diffCases.length) {
+      lines.push(`    <testcase classname="lockfile diff" name="No compromised packages or install scripts introduced"/>`);
+    }
+    for (const testCase of diffCases) {
+      lines.push(`    <testcase classname="lockfile diff" name="${escapeXML(testCase.name)}">`);
+      lines.push(testCase.failing
+        ? `      <failure type="${testCase.type}" message="${escapeXML(testCase.message)}">${escapeXML(testCase.message)}</failure>`
+        : `      <system-out>${escapeXML(testCase.message)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  if (report.system) {
+    lines.push(`  <testsuite name="system" tests="${Math.max(systemFindings.length, 1)}" failures="${failures.system}">`);
+    if (!systemFindings.length) {
+      lines.push(`    <testcase classname="system" name="No compromised packages in caches or global installs"/>`);
+    }
+    for (const { location, f } of systemFindings) {
+      const message = `${describeFinding(f)} in ${SYSTEM_LOCATION_LABELS[location.kind]} ${location.path}`;
+      lines.push(`    <testcase classname="system" name="${escapeXML(`${location.path}: ${f.pkg}@${f.version}`)}">`);
+      lines.push(isFailingFinding(f, report.policy.failOn)
+        ? `      <failure type="${f.severity}" message="${escapeXML(message)}">${escapeXML(message)}</failure>`
+        : `      <system-out>${escapeXML(message)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  if (report.triage) {
+    lines.push(`  <testsuite name="triage" tests="${Math.max(triageCases.length, 1)}" failures="${failures.triage}">`);
+    if (!triageCases.length) {
+      lines.push(`    <testcase classname="triage" name="No git repository found for the scanned directories"/>`);
+    }
+    for (const testCase of triageCases) {
+      if (!testCase.message) {
+        lines.push(`    <testcase classname="triage" name="${escapeXML(testCase.name)}"/>`);
+        continue;
+      }
+      lines.push(`    <testcase classname="triage" name="${escapeXML(testCase.name)}">`);
+      lines.push(testCase.failing
+        ? `      <failure type="ioc" message="${escapeXML(testCase.message)}">${escapeXML(testCase.message)}</failure>`
+        : `      <system-out>${escapeXML(testCase.message)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+// Source health (--check-sources): one line per source plus removed packages and reasons
+function formatSourceHealth(sources) {
+  const lines = ['', 'Advisory source health:'];
+  for (const src of sources) {
+    const name = src.name || src.url;
+    const drift = src.drift;
+    if (src.status === 'failed') {
+      lines.push(`  ❌ ${name}: ${src.error}`);
+      continue;
+    }
+    if (src.status === 'degraded') {
+      lines.push(`  🚨 ${name}: degraded (${src.error}); using the last good snapshot`);
+    } else if (!drift) {
+      lines.push(`  ⚠️  ${name}: not fetched (${src.status})`);
+      continue;
+    } else if (drift.previousCount === null) {
+      lines.push(`  ✅ ${name}: ${drift.packageCount} packages (first snapshot), fingerprint ${drift.fingerprint.sha256.slice(0, 12)}`);
+    } else {
+      const delta = drift.packageCount - drift.previousCount;
+      lines.push(`  ${drift.removed.length ? '⚠️ ' : '✅'} ${name}: ${drift.packageCount} packages (${delta >= 0 ? '+' : ''}${delta}), ` +
+        `fingerprint ${drift.fingerprint.sha256.slice(0, 12)} (${drift.changed ? `was ${drift.previousFingerprint.sha256.slice(0, 12)}` : 'unchanged'})`);
+    }
+    if (drift && drift.added.length) lines.push(`      added: ${formatNameList(drift.added)}`);
+    if (drift && drift.removed.length) lines.push(`      removed: ${formatNameList(drift.removed)}`);
+  }
+  
+  const unhealthy = sources.filter(src => src.status !== 'fetched').length;
+  lines.push('', unhealthy ? `🚨 ${unhealthy} of ${sources.length} source(s) failed or degraded` : `✅ All ${sources.length} source(s) healthy`);
+  return lines;
+}
+
+function formatNameList(names, limit = 10) {
+  return names.slice(0, limit).join(', ') + (names.length > limit ? ` (+${names.length - limit} more)` : '');
+}
+
+function renderReport(report, format) {
+  if (format === 'json') return formatJSON(report);
+  if (format === 'sarif') return formatSARIF(report);
+  if (format === 'junit') return formatJUnit(report);
+  return formatText(report);
+}
+
+// 9. Remediation (--fix / --fix-dry-run): pin compromised packages to the nearest safe version
+
+// Registry metadata comes from a snapshot given with --packuments (a JSON file with one packument,
+// or mapping package names to packuments or version lists; or a directory of <name>.json files)
+// or from npm's own packument cache (~/.npm/_cacache). Returns name => versions|null.
+function createPackumentReader(location) {
+  let read;
+  if (location && fs.statSync(location).isFile()) {
+    const data = JSON.parse(fs.readFileSync(location, 'utf8'));
+    read = (name) => (data.name === name && data.versions ? data : data[name] || null);
+  } else {
+    const dir = location || process.env.npm_config_cache || path.join(os.homedir(), '.npm');
+    const cacacheDir = fs.existsSync(path.join(dir, '_cacache')) ? path.join(dir, '_cacache') : dir;
+    if (fs.existsSync(path.join(cacacheDir, 'index-v5'))) {
+      read = (name) => readNpmCachePackument(cacacheDir, name);
+    } else {
+      read = (name) => {
+        for (const file of [path.join(dir, `${name}.json`), path.join(dir, `${name.replace('/', '%2f')}.json`)]) {
+          if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+        return null;
+      };
+    }
+  }
+  
+  const versionsByName = new Map();
+  return (name) => {
+    if (!versionsByName.has(name)) {
+      let versions = null;
+      try {
+        versions = getPackumentVersions(read(name));
+      } catch (e) {
+        log.warn(`  Could not read registry metadata for ${name}: ${e.message}`);
+      }
+      versionsByName.set(name, versions);
+    }
+    return versionsByName.get(name);
+  };
+}
+
+function getPackumentVersions(packument) {
+  if (!packument) return null;
+  if (Array.isArray(packument)) return packument;
+  if (Array.isArray(packument.versions)) return packument.versions;
+  return packument.versions ? Object.keys(packument.versions) : null;
+}
+
+// npm's cache (cacache) keeps an index bucket per request key, named after the key's SHA-256,
+// pointing at content addressed by its integrity hash
+function readNpmCachePackument(cacacheDir, name) {
+  const registries = [process.env.npm_config_registry, 'https://registry.npmjs.org/'].filter(Boolean);
+  for (const registry of registries) {
+    const key = `make-fetch-happen:request-cache:${registry.replace(/\/+$/, '')}/${name.replace('/', '%2f')}`;
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    const bucket = path.join(cacacheDir, 'index-v5', hash.slice(0, 2), hash.slice(2, 4), hash.slice(4));
+    if (!fs.existsSync(bucket)) continue;
+    
+    // Later lines supersede earlier ones; a null integrity marks a deleted entry
+    let entry = null;
+    for (const line of fs.readFileSync(bucket, 'utf8').split('\n')) {
+      const tab = line.indexOf('\t');
+      if (tab === -1) continue;
+      try {
+        const parsed = JSON.parse(line.slice(tab + 1));
+        if (parsed.key === key) entry = parsed;
+      } catch (e) { /* partially written line */ }
+    }
+    if (!entry || !entry.integrity) continue;
+    
+    const integrity = entry.integrity.split(/\s+/)[0];
+    const dash = integrity.indexOf('-');
+    const hex = Buffer.from(integrity.slice(dash + 1), 'base64').toString('hex');
+    const contentFile = path.join(cacacheDir, 'content-v2', integrity.slice(0, dash), hex.slice(0, 2), hex.slice(2, 4), hex.slice(4));
+    return JSON.parse(fs.readFileSync(contentFile, 'utf8'));
+  }
+  return null;
+}
+
+// Pick the non-compromised version closest to the compromised one: the newest release below it
+// (the last version published before the attack), otherwise the oldest one above it. Candidates
+// must satisfy the declared range, or stay on the same release line as a locked version.
+function findSafeVersion(f, versions, compromisedSpecs) {
+  const declaredRange = parseVersion(f.version) ? null : f.version;
+  const reference = parseVersion(f.version) || parseVersion(f.matchedVersion);
+  
+  const candidates = versions.map(parseVersion).filter(v => {
+    if (!v || v.prerelease.length) return false;
+    const version = formatVersion(v);
+    if (compromisedSpecs.some(spec => matchesCompromisedSpec(version, spec))) return false;
+    if (declaredRange) return satisfiesRange(declaredRange, version);
+    return reference && v.major === reference.major && (v.major > 0 || v.minor === reference.minor);
+  }).sort(compareVersions);
+  if (!candidates.length) return null;
+  if (!reference) return formatVersion(candidates[candidates.length - 1]);
+  
+  const below = candidates.filter(v => compareVersions(v, reference) < 0);
+  return formatVersion(below.length ? below[below.length - 1] : candidates[0]);
+}
+
+function formatVersion(v) {
+  return `${v.major}.${v.minor}.${v.patch}${v.prerelease.length ? '-' + v.prerelease.join('.') : ''}`;
+}
+
+// Which package manager's override field to write for a project
+function detectPackageManager(dir, manifest) {
+  const declared = manifest && typeof manifest.packageManager === 'string' ? manifest.packageManager.split('@')[0] : null;
+  if (['npm', 'yarn', 'pnpm'].includes(declared)) return declared;
+  if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml'))) return 'pnpm';
+  if (fs.existsSync(path.join(dir, 'yarn.lock'))) return 'yarn';
+  return 'npm';
+}
+
+const LOCKFILE_MANAGERS = { 'package-lock': 'npm', 'package-lock-v7': 'npm', 'yarn-lock': 'yarn', 'pnpm-lock': 'pnpm' };
+const OVERRIDE_FIELDS = { npm: 'overrides', yarn: 'resolutions', pnpm: 'pnpm.overrides' };
+
+// Work out the overrides for one project and write them into its package.json (unless dryRun).
+// Overrides only take effect in the root package.json, so monorepo members are fixed from there.
+function remediateProject(project, compromised, getVersions, { dryRun = false } = {}) {
+  const manifestPath = path.join(project.path, 'package.json');
+  const fix = { project: project.path, file: manifestPath, changes: [], skipped: [], diff: '', applied: false };
+  let before;
+  try {
+    before = fs.readFileSync(manifestPath, 'utf8');
+  } catch (e) {
+    fix.skipped.push({ pkg: null, reason: `cannot read ${manifestPath}` });
+    return fix;
+  }
+  const manifest = JSON.parse(before);
+  const defaultManager = detectPackageManager(project.path, manifest);
+  
+  // One safe version per package and package manager
+  const plans = new Map();
+  for (const f of project.findings) {
+    if (f.type === 'ioc') continue;
+    const manager = LOCKFILE_MANAGERS[f.section] || defaultManager;
+    const planKey = `${manager}\0${f.pkg}`;
+    if (!plans.has(planKey)) plans.set(planKey, { pkg: f.pkg, manager, from: new Set(), to: new Set(), unresolved: false });
+    const plan = plans.get(planKey);
+    plan.from.add(f.version);
+    
+    const versions = getVersions(f.pkg);
+    const safe = versions ? findSafeVersion(f, versions, compromised[f.pkg] || []) : null;
+    if (safe) plan.to.add(safe);
+    else plan.unresolved = versions ? 'no non-compromised version satisfies the dependency' : 'no registry metadata available';
+  }
+  
+  const updated = JSON.parse(before);
+  for (const plan of plans.values()) {
+    if (plan.unresolved) {
+      fix.skipped.push({ pkg: plan.pkg, reason: plan.unresolved });
+      continue;
+    }
+    if (plan.to.size > 1) {
+      fix.skipped.push({ pkg: plan.pkg, reason: `needs different safe versions (${Array.from(plan.to).join(', ')}); pin it manually` });
+      continue;
+    }
+    const safe = Array.from(plan.to)[0];
+    const field = OVERRIDE_FIELDS[plan.manager];
+    let overrides;
+    if (plan.manager === 'pnpm') {
+      updated.pnpm = updated.pnpm || {};
+      overrides = updated.pnpm.overrides = updated.pnpm.overrides || {};
+    } else {
+      overrides = updated[field] = updated[field] || {};
+    }
+    
+    // npm rejects overrides that conflict with a direct (or peer) dependency, so the override
+    // references the dependency instead. A range that already allows the safe version is kept;
+    // otherwise it is raised to ^safe, or to safe for an exact version
+    let value = safe;
+    if (plan.manager === 'npm') {
+      for (const section of ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']) {
+        const spec = updated[section] && updated[section][plan.pkg];
+        if (spec === undefined) continue;
+        if (!satisfiesRange(spec, safe)) updated[section][plan.pkg] = parseVersion(spec) ? safe : `^${safe}`;
+        value = `$${plan.pkg}`;
+      }
+    }
+    overrides[plan.pkg] = value;
+    fix.changes.push({ pkg: plan.pkg, from: Array.from(plan.from), to: safe, manager: plan.manager, field, value });
+  }
+  
+  if (!fix.changes.length) return fix;
+  const indent = (before.match(/^[ \t]+(?=")/m) || ['  '])[0];
+  const after = JSON.stringify(updated, null, indent) + (before.endsWith('\n') ? '\n' : '');
+  fix.diff = createUnifiedDiff(toReportPath(manifestPath), before, after);
+  if (!dryRun) {
+    fs.writeFileSync(manifestPath, after);
+    fix.applied = true;
+  }
+  return fix;
+}
+
+// Unified diff of two texts (line based, 3 lines of context)
+function createUnifiedDiff(file, before, after) {
+  const a = before.replace(/\n$/, '').split('\n');
+  const b = after.replace(/\n$/, '').split('\n');
+  
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], i: i++, j: j++ });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', line: a[i], i: i++, j });
+    } else {
+      ops.push({ type: '+', line: b[j], i, j: j++ });
+    }
+  }
+  
+  // Group changes into hunks with surrounding context
+  const lines = [`--- a/${file}`, `+++ b/${file}`];
+  const context = 3;
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type === ' ') {
+      k++;
+      continue;
+    }
+    const start = Math.max(0, k - context);
+    let end = k;
+    while (end < ops.length) {
+      if (ops[end].type !== ' ') {
+        end++;
+        continue;
+      }
+      let next = end;
+      while (next < ops.length && ops[next].type === ' ') next++;
+      if (next === ops.length || next - end > context * 2) break;
+      end = next;
+    }
+    end = Math.min(ops.length, end + context);
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${hunk[0].i + 1},${oldCount} +${hunk[0].j + 1},${newCount} @@`);
+    for (const op of hunk) lines.push(op.type + op.line);
+    k = end;
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatFixText(fix) {
+  const lines = [];
+  const verb = fix.applied ? 'Updated' : 'Proposed changes to';
+  if (fix.changes.length) {
+    lines.push(`🔧 ${verb} ${toReportPath(fix.file)}:`);
+    for (const change of fix.changes) {
+      lines.push(`  - ${change.pkg}: ${change.from.join(', ')} → ${change.to} (${change.field})`);
+    }
+    lines.push(...fix.diff.trimEnd().split('\n').map(line => `    ${line}`));
+  }
+  for (const skipped of fix.skipped) {
+    lines.push(`⚠️  Not fixed${skipped.pkg ? ` ${skipped.pkg}` : ''} in ${fix.project}: ${skipped.reason}`);
+  }
+  return lines;
+}
+
+// 10. Git history (--git-history): replay every revision of the lockfiles on the current
+// branch and report when a compromised version was locked, and until when
+const HISTORY_LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+function runGit(dir, args) {
+  return execFileSync('git', ['-C', dir, ...args], {
+    encoding: 'utf8',
+    maxBuffer: 512 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+// Fail early (before fetching advisories) when git or the repository is missing
+function checkGitRepository(dir) {
+  try {
+    return runGit(dir, ['rev-parse', '--show-toplevel']).trim();
+  } catch (e) {
+    const reason = e.code === 'ENOENT' ? 'git is not installed' : String(e.stderr || e.message).trim();
+    throw new Error(`${dir} is not inside a git repository (${reason})`);
+  }
+}
+
+function isHistoryLockfile(file) {
+  return HISTORY_LOCKFILES.includes(path.posix.basename(file)) && !file.split('/').includes('node_modules');
+}
+
+// Commits on the first-parent line of HEAD that changed a lockfile below dir, oldest first.
+// Merge commits are compared with their first parent, so a merged branch counts from the merge.
+function listLockfileCommits(dir, since) {
+  const args = ['log', '--first-parent', '-m', '--relative', '--name-only', '--reverse', '--format=%x1e%H%x1f%cI%x1f%s'];
+  if (since) args.push(`--since=${since}`);
+  args.push('--', ...HISTORY_LOCKFILES.map(name => `:(glob)**/${name}`));
+  
+  const commits = [];
+  for (const record of runGit(dir, args).split('\x1e').slice(1)) {
+    const [header, ...files] = record.split('\n');
+    const [hash, date, subject] = header.split('\x1f');
+    commits.push({ commit: hash, date, subject, files: files.filter(file => file && isHistoryLockfile(file)) });
+  }
+  return commits;
+}
+
+// The last commit before --since and the lockfiles it contained: the state the window starts in
+function findHistoryBaseline(dir, since) {
+  const hash = runGit(dir, ['rev-list', '-1', '--first-parent', `--before=${since}`, 'HEAD']).trim();
+  if (!hash) return null;
+  const [date, subject] = runGit(dir, ['show', '-s', '--format=%cI%x1f%s', hash]).trim().split('\x1f');
+  const files = runGit(dir, ['ls-tree', '-r', '--name-only', hash, '--', '.']).split('\n').filter(file => file && isHistoryLockfile(file));
+  return { commit: hash, date, subject, files };
+}
+
+// Lockfile content at a revision, or null if the file did not exist there
+function readGitFile(dir, commit, file) {
+  try {
+    return runGit(dir, ['show', `${commit}:./${file}`]);
+  } catch (e) {
+    return null;
+  }
+}
+
+function scanLockfileContent(file, content, compromised, manifest = null) {
+  const name = path.posix.basename(file);
+  if (name === 'yarn.lock') return scanYarnLock(content, compromised, manifest);
+  if (name === 'pnpm-lock.yaml') return scanPnpmLock(content, compromised, manifest);
+  return scanPackageLockData(JSON.parse(content), compromised, manifest);
+}
+
+function scanGitHistory(dir, compromised, { since = null, advisories = null } = {}) {
+  const history = { since, branch: null, commitsScanned: 0, exposures: [], errors: [] };
+  history.branch = runGit(dir, ['rev-parse', '--abbrev-ref', 'HEAD']).trim();
+  
+  // Exposures still open, keyed by lockfile and package@version
+  const open = new Map();
+  const revisionOf = ({ commit, date, subject }) => ({ commit, date, subject });
+  const applyRevision = (revision, file) => {
+    const content = readGitFile(dir, revision.commit, file);
+    let findings = [];
+    if (content !== null) {
+      try {
+        findings = scanLockfileContent(file, content, compromised);
+      } catch (e) {
+        // A broken revision (e.g. a committed merge conflict) leaves the previous state in place
+        history.errors.push(`${file} at ${revision.commit.slice(0, 12)}: ${e.message}`);
+        return;
+      }
+    }
+    const current = new Map(findings.map(f => [`${file}\0${f.pkg}@${f.version}`, f]));
+    for (const [key, f] of current) {
+      if (open.has(key)) continue;
+      const exposure = { pkg: f.pkg, version: f.version, matchedVersion: f.matchedVersion, lockfile: file, severity: 'locked', introducedIn: revisionOf(revision), removedIn: null };
+      if (revision.baseline) exposure.lockedBeforeSince = true;
+      open.set(key, exposure);
+    }
+    for (const [key, exposure] of open) {
+      if (exposure.lockfile !== file || current.has(key)) continue;
+      exposure.removedIn = revisionOf(revision);
+      history.exposures.push(exposure);
+      open.delete(key);
+    }
+  };
+  
+  if (since) {
+    const baseline = findHistoryBaseline(dir, since);
+    if (baseline) {
+      for (const file of baseline.files) applyRevision({ ...baseline, baseline: true }, file);
+    }
+  }
+  const commits = listLockfileCommits(dir, since);
+  for (const revision of commits) {
+    for (const file of revision.files) applyRevision(revision, file);
+  }
+  history.commitsScanned = commits.length;
+  
+  for (const exposure of open.values()) {
+    exposure.stillLocked = true;
+    history.exposures.push(exposure);
+  }
+  for (const exposure of history.exposures) {
+    exposure.stillLocked = !!exposure.stillLocked;
+    attachProvenance(exposure, advisories);
+  }
+  history.exposures.sort((a, b) => a.introducedIn.date.localeCompare(b.introducedIn.date) || a.pkg.localeCompare(b.pkg));
+  return history;
+}
+
+function describeExposureWindow(exposure, since) {
+  const describeRevision = (revision) => `${revision.date.slice(0, 10)} (${revision.commit.slice(0, 7)} "${revision.subject}")`;
+  const from = exposure.lockedBeforeSince ? `before ${since}` : describeRevision(exposure.introducedIn);
+  return exposure.stillLocked
+    ? `locked since ${from}, still locked`
+    : `locked from ${from} until ${describeRevision(exposure.removedIn)}`;
+}
+
+function formatHistoryText(history) {
+  const window = history.since ? ` since ${history.since}` : '';
+  const lines = ['', `Git history of ${history.branch} (${history.commitsScanned} commit(s) changing lockfiles${window}):`];
+  if (!history.exposures.length) {
+    lines.push('  ✅ No compromised version was ever locked');
+  }
+  for (const exposure of history.exposures) {
+    lines.push(`  🚨 ${exposure.pkg}@${exposure.version} in ${exposure.lockfile} (confidence ${exposure.confidence})`);
+    lines.push(`      ${describeExposureWindow(exposure, history.since)}`);
+  }
+  for (const error of history.errors) {
+    lines.push(`  ⚠️  Could not scan ${error}`);
+  }
+  return lines;
+}
+
+// 11. Triage (--triage): post-infection artefacts in the scanned git repositories and
+// credentials on this machine that the payload would have harvested
+// Workflows added by commits in this window are inspected, unless --since sets its start
+const TRIAGE_LOOKBACK = '90 days ago';
+
+// Environment variables holding credentials the payload exfiltrates
+const TRIAGE_TOKEN_ENV = [
+  { name: 'NPM_TOKEN', service: 'npm' },
+  { name: 'NODE_AUTH_TOKEN', service: 'npm' },
+  { name: 'NPM_CONFIG__AUTHTOKEN', service: 'npm' },
+  { name: 'GITHUB_TOKEN', service: 'GitHub' },
+  { name: 'GH_TOKEN', service: 'GitHub' },
+  { name: 'GITHUB_PAT', service: 'GitHub' },
+  { name: 'AWS_ACCESS_KEY_ID', service: 'AWS' },
+  { name: 'AWS_SECRET_ACCESS_KEY', service: 'AWS' },
+  { name: 'AWS_SESSION_TOKEN', service: 'AWS' },
+  { name: 'GOOGLE_APPLICATION_CREDENTIALS', service: 'Google Cloud' },
+  { name: 'AZURE_CLIENT_SECRET', service: 'Azure' }
+];
+
+// Credential stores in the home directory
+const TRIAGE_CREDENTIAL_FILES = [
+  { path: '.aws/credentials', service: 'AWS' },
+  { path: '.config/gcloud/application_default_credentials.json', service: 'Google Cloud' },
+  { path: '.azure/msal_token_cache.json', service: 'Azure' },
+  { path: '.config/gh/hosts.yml', service: 'GitHub' },
+  { path: '.git-credentials', service: 'GitHub' }
+];
+
+function runTriage(projectDirs, iocs, { rootDir = '.', compromised = false, since = null } = {}) {
+  const triage = { repositories: [], credentials: [], checklist: [] };
+  
+  // Each git repository once, however many projects it contains
+  const repoRoots = new Set();
+  for (const dir of projectDirs) {
+    try {
+      repoRoots.add(checkGitRepository(dir));
+    } catch (e) {
+      // Not every scanned project lives in a repository
+    }
+  }
+  for (const repo of repoRoots) {
+    log.info(`  Inspecting repository ${repo}...`);
+    triage.repositories.push({ path: repo, findings: triageRepository(repo, iocs, since) });
+  }
+  
+  const npmrcFiles = new Set([
+    process.env.npm_config_userconfig || path.join(os.homedir(), '.npmrc'),
+    process.env.npm_config_globalconfig || path.resolve(path.dirname(process.execPath), '..', 'etc', 'npmrc'),
+    path.join(os.homedir(), '.yarnrc.yml'),
+    ...[...repoRoots, ...projectDirs, rootDir].flatMap(dir => [path.join(dir, '.npmrc'), path.join(dir, '.yarnrc.yml')]).map(file => path.resolve(file))
+  ]);
+  for (const file of npmrcFiles) {
+    triage.credentials.push(...findConfigTokens(file));
+  }
+  for (const { name, service } of TRIAGE_TOKEN_ENV) {
+    if (process.env[name]) {
+      triage.credentials.push({ kind: 'env', service, location: `$${name}`, token: maskToken(process.env[name]) });
+    }
+  }
+  for (const { path: file, service } of TRIAGE_CREDENTIAL_FILES) {
+    const location = path.join(os.homedir(), file);
+    if (fs.existsSync(location)) triage.credentials.push({ kind: 'file', service, location });
+  }
+  
+  triage.checklist = buildRotationChecklist(triage, compromised);
+  return triage;
+}
+
+function triageRepository(repo, iocs, since = null) {
+  const findings = [];
+  const git = (args) => {
+    try {
+      return runGit(repo, args);
+    } catch (e) {
+      return '';
+    }
+  };
+  
+  // Workflow files in the working tree
+  const workflowDir = path.join(repo, '.github', 'workflows');
+  let workflows = [];
+  try {
+    workflows = fs.readdirSync(workflowDir).filter(name => /\.ya?ml$/i.test(name));
+  } catch (e) {
+    // No workflows
+  }
+  for (const name of workflows) {
+    const file = `.github/workflows/${name}`;
+    let content = '';
+    try {
+      content = fs.readFileSync(path.join(workflowDir, name), 'utf8');
+    } catch (e) {
+      continue;
+    }
+    const indicators = matchWorkflowIOCs(file, content, iocs);
+    if (indicators.length) findings.push({ kind: 'workflow', severity: 'ioc', file, indicators });
+  }
+  
+  // Local and remote-tracking branches named after the worm
+  for (const ref of git(['for-each-ref', '--format=%(refname:short)', 'refs/heads', 'refs/remotes']).split('\n').filter(Boolean)) {
+    const ioc = iocs.branches.find(candidate => candidate.regex.test(ref));
+    if (ioc) findings.push({ kind: 'branch', severity: 'ioc', ref, indicators: [ioc.description] });
+  }
+  
+  // Remotes renamed by the worm when it makes private repositories public
+  for (const line of new Set(git(['remote', '-v']).split('\n').filter(Boolean).map(line => line.split(/\s+/).slice(0, 2).join(' ')))) {
+    const [remote, url] = line.split(' ');
+    const name = url.replace(/\.git$/, '').split(/[/:]/).pop();
+    const ioc = iocs.repositories.find(candidate => candidate.regex.test(name));
+    if (ioc) findings.push({ kind: 'remote', severity: 'ioc', ref: remote, url, indicators: [ioc.description] });
+  }
+  
+  // Workflows added by recent commits on any branch, even if they were deleted again
+  const added = git(['log', '--all', `--since=${since || TRIAGE_LOOKBACK}`, '--diff-filter=A', '--name-only', '--format=%x1e%H%x1f%cI%x1f%an%x1f%s', '--', '.github/workflows']);
+  for (const record of added.split('\x1e').slice(1)) {
+    const [header, ...files] = record.split('\n');
+    const [commit, date, author, subject] = header.split('\x1f');
+    for (const file of files.filter(Boolean)) {
+      const indicators = matchWorkflowIOCs(file, git(['show', `${commit}:${file}`]), iocs);
+      if (indicators.length) findings.push({ kind: 'commit', severity: 'ioc', file, commit, date, author, subject, indicators });
+    }
+  }
+  return findings;
+}
+
+function matchWorkflowIOCs(file, content, iocs) {
+  const indicators = [];
+  const known = iocs.files.find(ioc => ioc.path === file);
+  if (known) indicators.push(known.description);
+  for (const ioc of [...iocs.workflows, ...iocs.patterns]) {
+    if (ioc.regex.test(content)) indicators.push(ioc.description);
+  }
+  return indicators;
+}
+
+// Plaintext tokens in .npmrc (_authToken, _auth, _password) and .yarnrc.yml (npmAuthToken).
+// ${VAR} references are fine: the secret is not stored in the file.
+function findConfigTokens(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return [];
+  }
+  const tokens = [];
+  const yarn = path.basename(file) === '.yarnrc.yml';
+  content.split(/\r?\n/).forEach((line, index) => {
+    const match = yarn
+      ? line.match(/^\s*(npmAuthToken|npmAuthIdent)\s*:\s*["']?([^"'\s#]+)/)
+      : line.match(/^\s*([^;#=\s][^=]*?(?:_authToken|_auth|_password))\s*=\s*["']?([^"'\s]+)/);
+    if (!match || /^\$\{[^}]+\}$/.test(match[2])) return;
+    const registry = yarn ? 'default registry' : (match[1].match(/^(\/\/[^:]+)/) || [null, 'default registry'])[1];
+    tokens.push({ kind: 'config', service: 'npm', location: `${file}:${index + 1}`, registry, token: maskToken(match[2]) });
+  });
+  return tokens;
+}
+
+// Enough of a token to tell which one it is, never enough to use it
+function maskToken(token) {
+  const prefix = (token.match(/^(npm_|gh[pousr]_|github_pat_)/) || [''])[0];
+  return `${prefix}${'*'.repeat(8)} (${token.length} characters)`;
+}
+
+// After a compromise every credential the machine can reach is rotated; otherwise only
+// plaintext tokens in config files are flagged
+function buildRotationChecklist(triage, compromised) {
+  const checklist = [];
+  const infected = compromised || triage.repositories.some(repo => repo.findings.length);
+  for (const repo of triage.repositories) {
+    for (const f of repo.findings) {
+      if (f.kind === 'workflow') checklist.push(`Delete ${f.file} from ${repo.path}`);
+      if (f.kind === 'branch') checklist.push(`Delete branch ${f.ref} in ${repo.path}`);
+      if (f.kind === 'remote') checklist.push(`Make ${f.url} private again and check its visibility history`);
+      if (f.kind === 'commit') checklist.push(`Review commit ${f.commit.slice(0, 12)} by ${f.author} in ${repo.path}, which added ${f.file}`);
+    }
+    if (repo.findings.length) {
+      checklist.push(`Rotate every GitHub Actions secret of ${repo.path}: the workflow sends all of them to the attacker`);
+    }
+  }
+  for (const credential of triage.credentials) {
+    if (credential.kind === 'config') {
+      checklist.push(infected
+        ? `Revoke the ${credential.service} token for ${credential.registry} stored in plaintext at ${credential.location}, and replace it with a \${ENV} reference`
+        : `Move the ${credential.service} token for ${credential.registry} out of ${credential.location} into a \${ENV} reference`);
+    } else if (!infected) {
+      continue;
+    } else if (credential.kind === 'env') {
+      checklist.push(`Rotate the ${credential.service} credential in ${credential.location}`);
+    } else {
+      checklist.push(`Rotate the ${credential.service} credentials stored in ${credential.location}`);
+    }
+  }
+  if (infected) {
+    checklist.push('Check your GitHub account for repositories with a "-migration" suffix and for unknown personal access tokens, SSH keys and OAuth apps');
+  }
+  return Array.from(new Set(checklist));
+}
+
+function describeTriageFinding(f) {
+  if (f.kind === 'workflow') return `workflow ${f.file}`;
+  if (f.kind === 'branch') return `branch ${f.ref}`;
+  if (f.kind === 'remote') return `remote ${f.ref} (${f.url})`;
+  return `commit ${f.commit.slice(0, 7)} (${f.date.slice(0, 10)}, ${f.author}) added ${f.file}`;
+}
+
+function formatTriageText(triage) {
+  const lines = ['', 'Compromise triage:'];
+  for (const repo of triage.repositories) {
+    if (!repo.findings.length) {
+      lines.push(`  ✅ ${repo.path}: no Shai-Hulud workflows, branches or remotes`);
+      continue;
+    }
+    lines.push(`  🚨 ${repo.path}:`);
+    for (const f of repo.findings) {
+      lines.push(`    - ${describeTriageFinding(f)}: ${f.indicators.join('; ')}`);
+    }
+  }
+  if (!triage.repositories.length) {
+    lines.push('  ⚠️  No git repository found for the scanned directories');
+  }
+  if (triage.credentials.length) {
+    lines.push('  🔑 Credentials a compromised install could have read:');
+    for (const credential of triage.credentials) {
+      const token = credential.token ? ` ${credential.token}` : '';
+      lines.push(`    - ${credential.service}: ${credential.location}${token}`);
+    }
+  }
+  if (triage.checklist.length) {
+    lines.push('', 'Rotation checklist:');
+    for (const item of triage.checklist) lines.push(`  [ ] ${item}`);
+  }
+  return lines;
+}
+
+// 12. System caches (--system): packages downloaded or installed outside any project, in the
+// npm cache, npx installs and the global install directories and stores of npm, yarn and pnpm
+const SYSTEM_LOCATION_LABELS = {
+  'npm-cache': 'npm cache',
+  'npx': 'npx install',
+  'npm-global': 'npm global packages',
+  'yarn-global': 'yarn global packages',
+  'yarn-cache': 'yarn cache',
+  'pnpm-global': 'pnpm global packages',
+  'pnpm-store': 'pnpm store'
+};
+
+// Caches only prove a tarball was downloaded; the other locations are installed packages
+// (directories containing node_modules) and are scanned like --installed
+const SYSTEM_CACHE_READERS = {
+  'npm-cache': readNpmCacheIndex,
+  'yarn-cache': readYarnCache,
+  'pnpm-store': readPnpmStore
+};
+
+// Default locations per platform; the npm_config_cache, npm_config_prefix, YARN_CACHE_FOLDER,
+// YARN_GLOBAL_FOLDER and PNPM_HOME variables the package managers honour take precedence
+function findSystemLocations() {
+  const home = os.homedir();
+  const windows = process.platform === 'win32';
+  const mac = process.platform === 'darwin';
+  const localAppData = process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local');
+  const npmCache = process.env.npm_config_cache || (windows ? path.join(localAppData, 'npm-cache') : path.join(home, '.npm'));
+  const npmPrefix = process.env.npm_config_prefix || (windows ? path.dirname(process.execPath) : path.resolve(path.dirname(process.execPath), '..'));
+  const yarnClassicCache = process.env.YARN_CACHE_FOLDER || (windows
+    ? path.join(localAppData, 'Yarn', 'Cache')
+    : mac ? path.join(home, 'Library', 'Caches', 'Yarn') : path.join(process.env.XDG_CACHE_HOME || path.join(home, '.cache'), 'yarn'));
+  const yarnClassicGlobal = windows
+    ? path.join(localAppData, 'Yarn', 'Data', 'global')
+    : path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), 'yarn', 'global');
+  const yarnBerryGlobal = process.env.YARN_GLOBAL_FOLDER || path.join(home, '.yarn', 'berry');
+  const pnpmHome = process.env.PNPM_HOME || (windows
+    ? path.join(localAppData, 'pnpm')
+    : mac ? path.join(home, 'Library', 'pnpm') : path.join(process.env.XDG_DATA_HOME || path.join(home, '.local', 'share'), 'pnpm'));
+  
+  const locations = [
+    { kind: 'npm-cache', path: path.join(npmCache, '_cacache') },
+    ...listDirectories(path.join(npmCache, '_npx')).map(dir => ({ kind: 'npx', path: dir })),
+    { kind: 'npm-global', path: windows ? npmPrefix : path.join(npmPrefix, 'lib') },
+    { kind: 'yarn-global', path: yarnClassicGlobal },
+    { kind: 'yarn-cache', path: yarnClassicCache },
+    { kind: 'yarn-cache', path: path.join(yarnBerryGlobal, 'cache') },
+    ...listDirectories(path.join(pnpmHome, 'global')).map(dir => ({ kind: 'pnpm-global', path: dir })),
+    { kind: 'pnpm-store', path: path.join(pnpmHome, 'store') }
+  ];
+  return locations.filter(location => SYSTEM_CACHE_READERS[location.kind]
+    ? fs.existsSync(location.path)
+    : fs.existsSync(path.join(location.path, 'node_modules')));
+}
+
+function scanSystem(compromised, iocs, advisories) {
+  const system = { locations: [], errors: [], cleanup: [] };
+  for (const location of findSystemLocations()) {
+    log.info(`  Checking ${SYSTEM_LOCATION_LABELS[location.kind]} ${location.path}...`);
+    const scanned = { kind: location.kind, path: location.path, findings: [] };
+    try {
+      const readCache = SYSTEM_CACHE_READERS[location.kind];
+      if (readCache) {
+        const entries = readCache(location.path, compromised);
+        scanned.entries = entries.length;
+        for (const entry of entries) {
+          const finding = matchLockedVersion(entry.name, entry.version, location.kind, compromised);
+          if (finding) scanned.findings.push(Object.assign(finding, { file: entry.file }, entry.key ? { key: entry.key } : {}));
+        }
+      } else {
+        scanned.findings = scanInstalledPackages(location.path, compromised, iocs) || [];
+      }
+    } catch (e) {
+      log.warn(`  ⚠️  Could not scan ${location.path}: ${e.message}`);
+      system.errors.push(`${location.path}: ${e.message}`);
+      continue;
+    }
+    for (const f of scanned.findings) {
+      f.severity = classifyFinding(f);
+      attachProvenance(f, advisories);
+    }
+    system.locations.push(scanned);
+  }
+  system.cleanup = buildCleanupSteps(system);
+  return system;
+}
+
+// cacache index buckets (_cacache/index-v5/xx/yy/<hash>) hold one JSON entry per line; tarball
+// keys are the registry URL, e.g. .../@ctrl/tinycolor/-/tinycolor-4.1.1.tgz
+function readNpmCacheIndex(cacacheDir) {
+  const latest = new Map();
+  const indexDir = path.join(cacacheDir, 'index-v5');
+  for (const first of listDirectories(indexDir)) {
+    for (const second of listDirectories(first)) {
+      for (const bucket of listFiles(second)) {
+        for (const line of fs.readFileSync(bucket, 'utf8').split('\n')) {
+          const tab = line.indexOf('\t');
+          if (tab === -1) continue;
+          try {
+            const entry = JSON.parse(line.slice(tab + 1));
+            // Later lines supersede earlier ones; a null integrity marks a deleted entry
+            if (typeof entry.key === 'string') latest.set(entry.key, entry.integrity ? bucket : null);
+          } catch (e) { /* partially written line */ }
+        }
+      }
+    }
+  }
+  
+  const entries = [];
+  for (const [key, bucket] of latest) {
+    const tarball = bucket && parseTarballKey(key);
+    if (tarball) entries.push({ ...tarball, file: path.relative(cacacheDir, bucket).split(path.sep).join('/'), key: key.replace(/^make-fetch-happen:request-cache:/, '') });
+  }
+  return entries;
+}
+
+function parseTarballKey(key) {
+  const match = key.match(/^make-fetch-happen:request-cache:(.+\.tgz)$/);
+  if (!match) return null;
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(match[1]).pathname);
+  } catch (e) {
+    return null;
+  }
+  const parts = pathname.match(/\/((?:@[^/]+\/)?([^/]+))\/-\/(?:@[^/]+\/)?([^/]+)\.tgz$/);
+  if (!parts || !parts[3].startsWith(`${parts[2]}-`)) return null;
+  return { name: parts[1], version: parts[3].slice(parts[2].length + 1) };
+}
+
+// Classic: v6/npm-<name>-<version>-<hash>-integrity/node_modules/<name>/package.json.
+// Berry: <name>-npm-<version>-<hash>-<checksum>.zip, with "@scope/name" flattened to "@scope-name".
+function readYarnCache(cacheDir, compromised) {
+  const entries = [];
+  for (const versionDir of listDirectories(cacheDir).filter(dir => /^v\d+$/.test(path.basename(dir)))) {
+    for (const entryDir of listDirectories(versionDir)) {
+      const manifest = readNodeModulesManifest(path.join(entryDir, 'node_modules'));
+      if (manifest) entries.push({ ...manifest, file: path.relative(cacheDir, entryDir).split(path.sep).join('/') });
+    }
+  }
+  
+  const bySlug = new Map(Object.keys(compromised).map(name => [name.replace('/', '-'), name]));
+  for (const file of listFiles(cacheDir)) {
+    const match = path.basename(file).match(/^(.+)-npm-(\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.+-]*?)??)(?:-[0-9a-f]{10})?-[0-9a-f]{10}\.zip$/);
+    if (match) entries.push({ name: bySlug.get(match[1]) || match[1], version: match[2], file: path.basename(file) });
+  }
+  return entries;
+}
+
+function readNodeModulesManifest(modulesDir) {
+  for (const entry of listDirectories(modulesDir)) {
+    const pkgDirs = path.basename(entry).startsWith('@') ? listDirectories(entry) : [entry];
+    for (const pkgDir of pkgDirs) {
+      try {
+        const { name, version } = JSON.parse(fs.readFileSync(path.join(pkgDir, 'package.json'), 'utf8'));
+        if (name && version) return { name, version };
+      } catch (e) { /* not a package directory */ }
+    }
+  }
+  return null;
+}
+
+// Content-addressable store: package index files (v3/files/xx/<hash>-index.json, v10/index/xx/*.json)
+// record the name and version of the package the files belong to
+function readPnpmStore(storeDir) {
+  const entries = [];
+  for (const versionDir of listDirectories(storeDir).filter(dir => /^v\d+$/.test(path.basename(dir)))) {
+    for (const indexDir of [path.join(versionDir, 'files'), path.join(versionDir, 'index')]) {
+      for (const shard of listDirectories(indexDir)) {
+        for (const file of listFiles(shard).filter(name => /\.json$/.test(name))) {
+          try {
+            const { name, version } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (name && version) entries.push({ name, version, file: path.relative(storeDir, file).split(path.sep).join('/') });
+          } catch (e) { /* older index files only list the package's files */ }
+        }
+      }
+    }
+  }
+  return entries;
+}
+
+function listDirectories(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => path.join(dir, entry.name));
+  } catch (e) {
+    return [];
+  }
+}
+
+function listFiles(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isFile()).map(entry => path.join(dir, entry.name));
+  } catch (e) {
+    return [];
+  }
+}
+
+// How to get each compromised package off the machine, per location
+function buildCleanupSteps(system) {
+  const steps = [];
+  for (const location of system.locations) {
+    for (const f of location.findings) {
+      if (location.kind === 'npm-cache') steps.push(`Clear the npm cache: npm cache clean --force (${location.path})`);
+      if (location.kind === 'npx') steps.push(`Delete the npx install ${location.path}`);
+      if (location.kind === 'npm-global') steps.push(`Uninstall the global package: npm uninstall -g ${f.pkg}`);
+      if (location.kind === 'yarn-global') steps.push(`Uninstall the global package: yarn global remove ${f.pkg}`);
+      if (location.kind === 'pnpm-global') steps.push(`Uninstall the global package: pnpm remove -g ${f.pkg}`);
+      if (location.kind === 'yarn-cache') {
+        steps.push(f.file.endsWith('.zip') ? `Delete ${path.join(location.path, f.file)}` : `Remove the package from the yarn cache: yarn cache clean ${f.pkg}`);
+      }
+      if (location.kind === 'pnpm-store') steps.push(`Remove ${f.pkg} from every project using it, then run pnpm store prune (${location.path})`);
+    }
+  }
+  if (system.locations.some(location => !SYSTEM_CACHE_READERS[location.kind] && location.findings.length)) {
+    steps.push('A compromised package was installed on this machine: run with --triage and rotate the credentials it lists');
+  }
+  return Array.from(new Set(steps));
+}
+
+function formatSystemText(system) {
+  const lines = ['', 'System caches and global installs:'];
+  for (const location of system.locations) {
+    const label = `${SYSTEM_LOCATION_LABELS[location.kind]} ${location.path}`;
+    const entries = location.entries === undefined ? '' : ` (${location.entries} package(s))`;
+    if (!location.findings.length) {
+      lines.push(`  ✅ ${label}${entries}: clean`);
+      continue;
+    }
+    lines.push(`  🚨 ${label}${entries}:`);
+    for (const f of location.findings) {
+      const where = f.type === 'ioc' ? '' : ` ${f.key || f.file}`;
+      lines.push(`    - ${describeFinding(f)} (${f.severity}, confidence ${f.confidence})${where}`);
+    }
+  }
+  if (!system.locations.length) {
+    lines.push('  ⚠️  No npm, yarn or pnpm caches or global installs found');
+  }
+  for (const error of system.errors) {
+    lines.push(`  ⚠️  Could not scan ${error}`);
+  }
+  if (system.cleanup.length) {
+    lines.push('', 'Cleanup:');
+    for (const step of system.cleanup) lines.push(`  [ ] ${step}`);
+  }
+  return lines;
+}
+
+// 13. Lockfile diff (--diff / --diff-ref): compare the packages resolved by the lockfiles of the
+// scanned directory with a base version and only report what the change introduces
+const INSTALL_SCRIPT_HOOKS = ['preinstall', 'install', 'postinstall'];
+
+// --diff names one base lockfile, whose format picks the lockfile of dir to compare it with;
+// --diff-ref reads every lockfile of dir at a git revision
+function loadDiffLockfiles(rootDir, { diff = null, diffRef = null }) {
+  if (diff) {
+    const baseContent = fs.readFileSync(diff, 'utf8');
+    const name = HISTORY_LOCKFILES.includes(path.basename(diff)) ? path.basename(diff) : detectLockfileName(baseContent);
+    // npm prefers npm-shrinkwrap.json when a project has both
+    const candidates = name === 'yarn.lock' || name === 'pnpm-lock.yaml' ? [name] : ['npm-shrinkwrap.json', 'package-lock.json'];
+    const file = candidates.find(candidate => fs.existsSync(path.join(rootDir, candidate)));
+    if (!file) throw new Error(`no ${candidates.join(' or ')} in ${rootDir} to compare with ${diff}`);
+    return [{ file, base: diff, baseContent, headContent: fs.readFileSync(path.join(rootDir, file), 'utf8') }];
+  }
+  
+  const lockfiles = [];
+  for (const file of HISTORY_LOCKFILES) {
+    const headFile = path.join(rootDir, file);
+    const headContent = fs.existsSync(headFile) ? fs.readFileSync(headFile, 'utf8') : null;
+    const baseContent = readGitFile(rootDir, diffRef, file);
+    if (headContent !== null || baseContent !== null) lockfiles.push({ file, base: `${diffRef}:${file}`, baseContent, headContent });
+  }
+  if (!lockfiles.length) throw new Error(`no lockfile in ${rootDir} or at ${diffRef}`);
+  return lockfiles;
+}
+
+function detectLockfileName(content) {
+  if (/^\s*\{/.test(content)) return 'package-lock.json';
+  if (/^lockfileVersion:/m.test(content)) return 'pnpm-lock.yaml';
+  return 'yarn.lock';
+}
+
+function diffLockfiles(rootDir, lockfiles, compromised, options) {
+  const diff = { lockfiles: [], errors: [] };
+  let installed = null;
+  for (const lockfile of lockfiles) {
+    let result;
+    try {
+      result = diffLockfile(lockfile, compromised, options.manifest);
+    } catch (e) {
+      log.error(`  Error comparing ${lockfile.file} with ${lockfile.base}: ${e.message}`);
+      diff.errors.push(`${lockfile.file}: ${e.message}`);
+      continue;
+    }
+    
+    // Added packages and the new versions of changed ones can both bring an install script
+    const introduced = [
+      ...result.added.map(pkg => [pkg.name, pkg]),
+      ...result.changed.flatMap(pkg => pkg.introduced.map(entry => [pkg.name, entry]))
+    ];
+    // yarn.lock, npm v1 and pnpm v9 lockfiles do not record install scripts; ask node_modules
+    if (introduced.some(([, entry]) => entry.installScript === null)) {
+      installed = installed || new Map((findInstalledPackages(rootDir) || []).map(pkg => [`${pkg.name}@${pkg.version}`, pkg.scripts || {}]));
+      for (const [name, entry] of introduced) {
+        const scripts = entry.installScript === null && installed.get(`${name}@${entry.version}`);
+        if (scripts) entry.installScript = INSTALL_SCRIPT_HOOKS.some(hook => typeof scripts[hook] === 'string');
+      }
+    }
+    result.installScripts = introduced.filter(([, entry]) => entry.installScript).map(([name, { version }]) => ({ name, version }));
+    // Before the install (a PR gate) there is no node_modules to ask; these are reported, not failed
+    result.unknownInstallScripts = introduced.filter(([, entry]) => entry.installScript === null).map(([name, { version }]) => ({ name, version }));
+    
+    for (const f of result.findings) {
+      f.severity = classifyFinding(f);
+      attachProvenance(f, options.advisories);
+    }
+    ({ active: result.findings, suppressed: result.suppressed } = applySuppressions(result.findings, rootDir, options));
+    diff.lockfiles.push(result);
+  }
+  return diff;
+}
+
+// Packages are compared by name: only in head is added, only in base removed, in both with
+// other versions changed. New versions and findings are those the base did not lock.
+function diffLockfile({ file, base, baseContent, headContent }, compromised, manifest) {
+  const before = groupLockedPackages(baseContent === null ? [] : listLockedPackages(file, baseContent));
+  const after = groupLockedPackages(headContent === null ? [] : listLockedPackages(file, headContent));
+  const result = { file, base, added: [], changed: [], removed: [], installScripts: [], unknownInstallScripts: [], findings: [], suppressed: [] };
+  
+  for (const [name, versions] of after) {
+    const previous = before.get(name);
+    if (!previous) {
+      for (const [version, installScript] of versions) result.added.push({ name, version, installScript });
+    } else if (versions.size !== previous.size || [...versions.keys()].some(version => !previous.has(version))) {
+      const introduced = [...versions].filter(([version]) => !previous.has(version)).map(([version, installScript]) => ({ version, installScript }));
+      result.changed.push({ name, from: [...previous.keys()], to: [...versions.keys()], introduced });
+    }
+  }
+  for (const [name, versions] of before) {
+    if (!after.has(name)) {
+      for (const version of versions.keys()) result.removed.push({ name, version });
+    }
+  }
+  for (const list of [result.added, result.changed, result.removed]) {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  if (headContent !== null) {
+    const introduced = scanLockfileContent(file, headContent, compromised, manifest)
+      .filter(f => !(before.get(f.pkg) && before.get(f.pkg).has(f.version)));
+    result.findings = locateFindings(introduced, file, headContent);
+  }
+  return result;
+}
+
+// name -> version -> whether the lockfile records an install script (null when it cannot tell)
+function groupLockedPackages(packages) {
+  const byName = new Map();
+  for (const { name, version, installScript } of packages) {
+    if (!byName.has(name)) byName.set(name, new Map());
+    const versions = byName.get(name);
+    versions.set(version, versions.get(version) || installScript);
+  }
+  return byName;
+}
+
+// Every package a lockfile resolves, read the same way as the lockfile scanners read them
+function listLockedPackages(file, content) {
+  const name = path.posix.basename(file);
+  if (name === 'yarn.lock') {
+    return parseYarnLock(content)
+      .filter(entry => entry.workspace === undefined && entry.name && entry.version)
+      .map(entry => ({ name: entry.name, version: entry.version, installScript: null }));
+  }
+  if (name === 'pnpm-lock.yaml') {
+    return parsePnpmLock(content).packages.map(entry => ({ name: entry.name, version: entry.version, installScript: entry.requiresBuild }));
+  }
+  const data = JSON.parse(content);
+  if ((data.lockfileVersion || 1) >= 2 && data.packages) {
+    // npm v7+ records "hasInstallScript": true on packages with install scripts
+    return Object.entries(data.packages)
+      .filter(([pkgPath, meta]) => pkgPath !== '' && !meta.link && pkgPath.includes('node_modules/') && meta.version)
+      .map(([pkgPath, meta]) => ({ name: getLockPackageName(pkgPath, meta), version: meta.version, installScript: !!meta.hasInstallScript }))
+      .filter(pkg => pkg.name);
+  }
+  return listPackageLockV1(data.dependencies || {});
+}
+
+function listPackageLockV1(dependencies) {
+  const packages = [];
+  for (const [name, meta] of Object.entries(dependencies)) {
+    if (!meta.version) continue;
+    // Aliased installs are recorded as { "version": "npm:real-pkg@1.2.3" }
+    const { name: pkg, range: version } = meta.version.startsWith('npm:') ? splitPackageSpec(meta.version.slice(4)) : { name, range: meta.version };
+    packages.push({ name: pkg, version, installScript: null });
+    if (meta.dependencies) packages.push(...listPackageLockV1(meta.dependencies));
+  }
+  return packages;
+}
+
+function formatDiffText(diff) {
+  const lines = ['', `Lockfile diff against ${diff.base}:`];
+  for (const lockfile of diff.lockfiles) {
+    lines.push(`  ${lockfile.file}: ${lockfile.added.length} added, ${lockfile.changed.length} changed, ${lockfile.removed.length} removed`);
+    for (const pkg of lockfile.added) lines.push(`    + ${pkg.name}@${pkg.version}${pkg.installScript ? ' (install script)' : ''}`);
+    for (const pkg of lockfile.changed) {
+      lines.push(`    ~ ${pkg.name} ${pkg.from.join(', ')} → ${pkg.to.join(', ')}${pkg.introduced.some(entry => entry.installScript) ? ' (install script)' : ''}`);
+    }
+    for (const pkg of lockfile.removed) lines.push(`    - ${pkg.name}@${pkg.version}`);
+    for (const f of lockfile.findings) {
+      lines.push(`  🚨 Introduces ${describeFinding(f)} (${f.severity}, confidence ${f.confidence})`);
+      for (const chain of formatDependencyPaths(f)) lines.push(`      ${chain}`);
+    }
+    for (const f of lockfile.suppressed) {
+      lines.push(`  🔕 Introduces ${describeFinding(f)} (suppressed until ${f.suppression.expires}: ${f.suppression.reason})`);
+    }
+    for (const pkg of lockfile.installScripts) {
+      lines.push(`  🚨 Adds ${pkg.name}@${pkg.version}, which runs an install script`);
+    }
+    if (lockfile.unknownInstallScripts.length) {
+      lines.push(`  ⚠️  Install script unknown for ${lockfile.unknownInstallScripts.length} new package(s) (${lockfile.file} does not record install scripts and they are not in node_modules):`);
+      lines.push(`      ${lockfile.unknownInstallScripts.map(pkg => `${pkg.name}@${pkg.version}`).join(', ')}`);
+    }
+    if (!lockfile.findings.length && !lockfile.installScripts.length && !lockfile.unknownInstallScripts.length) {
+      lines.push('  ✅ No compromised packages or install scripts introduced');
+    }
+  }
+  for (const error of diff.errors) {
+    lines.push(`  ⚠️  Could not compare ${error}`);
+  }
+  return lines;
+}
+
+// 14. SBOM input (--sbom): the npm components of CycloneDX (JSON or XML) and SPDX (JSON or
+// tag-value) documents, for artefacts whose source tree is not available
+const SBOM_SECTION = 'sbom';
+
+// Scan one SBOM like a project. Components record resolved versions, so they are matched like
+// locked versions; each finding names the component (bom-ref or SPDXID) and its purl.
+function scanSbom(file, compromised, stats, options = {}) {
+  log.info(`\nScanning SBOM: ${file}`);
+  stats.totalProjects++;
+  
+  const errors = [];
+  let sbom = { format: null, specVersion: null, name: null, components: [] };
+  let content = '';
+  try {
+    content = fs.readFileSync(file, 'utf8');
+    sbom = parseSbom(content);
+    log.info(`  ${sbom.format}${sbom.specVersion ? ` ${sbom.specVersion}` : ''} document with ${sbom.components.length} npm component(s)`);
+  } catch (e) {
+    log.warn(`  Error scanning SBOM ${file}: ${e.message}`);
+    errors.push(`${file}: ${e.message}`);
+  }
+  
+  const lines = content.split(/\r?\n/);
+  const findings = [];
+  for (const component of sbom.components) {
+    const f = matchLockedVersion(component.pkg, component.version, SBOM_SECTION, compromised);
+    if (!f) continue;
+    f.file = path.basename(file);
+    // Qualifiers are left out: XML escapes their "&"
+    const index = lines.findIndex(line => line.includes(component.purl.split('?')[0]));
+    f.line = index === -1 ? null : index + 1;
+    f.component = component.ref;
+    f.purl = component.purl;
+    f.severity = classifyFinding(f);
+    attachProvenance(f, options.advisories);
+    findings.push(f);
+  }
+  
+  const { active, suppressed } = applySuppressions(findings, path.dirname(file), options);
+  const project = {
+    path: path.dirname(file),
+    name: sbom.name || path.basename(file),
+    sbom: { file, format: sbom.format, specVersion: sbom.specVersion, components: sbom.components.length },
+    findings: active,
+    suppressed,
+    errors
+  };
+  for (const line of formatProjectText(project)) {
+    log.info(line);
+  }
+  emitProgress('project', { project });
+  if (active.length) {
+    stats.compromisedProjects++;
+  } else {
+    stats.cleanProjects++;
+  }
+  stats.scanErrors += errors.length;
+  
+  return project;
+}
+
+// Detect the SBOM format and list its npm components as { ref, purl, pkg, version }
+function parseSbom(content) {
+  const text = content.replace(/^\uFEFF/, '').trim();
+  if (text.startsWith('<')) return parseCycloneDXXML(text);
+  if (text.startsWith('{')) {
+    const doc = JSON.parse(text);
+    if (doc.spdxVersion) return parseSpdxJSON(doc);
+    if (doc.bomFormat === 'CycloneDX') return parseCycloneDXJSON(doc);
+  } else if (/^SPDXVersion:/m.test(text)) {
+    return parseSpdxTagValue(text);
+  }
+  throw new Error('not a CycloneDX or SPDX document');
+}
+
+// Components nest (a component's own "components"). The metadata component is the subject of
+// the SBOM and only names it.
+function parseCycloneDXJSON(doc) {
+  const components = [];
+  const visit = (list) => {
+    for (const component of Array.isArray(list) ? list : []) {
+      const entry = toSbomComponent(component['bom-ref'], component.purl);
+      if (entry) components.push(entry);
+      visit(component.components);
+    }
+  };
+  visit(doc.components);
+  const subject = doc.metadata && doc.metadata.component;
+  return {
+    format: 'cyclonedx-json',
+    specVersion: doc.specVersion || null,
+    name: subject && subject.name ? [subject.group, subject.name].filter(Boolean).join('/') : null,
+    components
+  };
+}
+
+// A small tag scanner is enough for CycloneDX XML: <component bom-ref="..."> elements with a
+// <purl> child. Components inside <metadata> (the subject and tools) and <pedigree> (the
+// ancestors of a component) are not part of the artefact.
+function parseCycloneDXXML(text) {
+  text = text.replace(/<!--[\s\S]*?-->/g, '');
+  if (!/<(?:[\w.-]+:)?bom[\s>]/.test(text)) throw new Error('not a CycloneDX or SPDX document');
+  const namespace = /"http:\/\/cyclonedx\.org\/schema\/bom\/([\d.]+)"/.exec(text);
+  
+  const components = [];
+  const elements = [];
+  const opened = [];
+  let name = null;
+  const tags = /<(\/?)((?:[\w.-]+:)?([\w.-]+))((?:\s[^>]*?)?)(\/?)>/g;
+  let match;
+  while ((match = tags.exec(text))) {
+    const [, closing, qname, tag, attributes, selfClosing] = match;
+    if (closing) {
+      const index = elements.lastIndexOf(tag);
+      if (index !== -1) elements.length = index;
+      if (tag === 'component') opened.pop();
+      continue;
+    }
+    if (selfClosing) continue;
+    if (tag === 'component') {
+      const ref = /\sbom-ref\s*=\s*(["'])(.*?)\1/.exec(attributes);
+      opened.push({
+        ref: ref ? decodeXMLEntities(ref[2]) : null,
+        subject: elements[elements.length - 1] === 'metadata',
+        ignored: elements.includes('metadata') || elements.includes('pedigree')
+      });
+    }
+    elements.push(tag);
+    
+    // Text of the <name> and <purl> of the innermost component
+    const component = opened[opened.length - 1];
+    if (!component || elements[elements.length - 2] !== 'component' || (tag !== 'name' && tag !== 'purl')) continue;
+    const end = text.indexOf(`</${qname}>`, tags.lastIndex);
+    if (end === -1) continue;
+    const value = decodeXMLEntities(text.slice(tags.lastIndex, end).trim().replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1'));
+    tags.lastIndex = end;
+    if (tag === 'name' && component.subject && name === null) {
+      name = value;
+    } else if (tag === 'purl' && !component.ignored) {
+      const entry = toSbomComponent(component.ref, value);
+      if (entry) components.push(entry);
+    }
+  }
+  return { format: 'cyclonedx-xml', specVersion: namespace ? namespace[1] : null, name, components };
+}
+
+function decodeXMLEntities(str) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return str.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+    if (code[0] !== '#') return named[code] ?? entity;
+    return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+  });
+}
+
+// SPDX packages list their purls as external references
+function parseSpdxJSON(doc) {
+  const components = [];
+  for (const pkg of Array.isArray(doc.packages) ? doc.packages : []) {
+    for (const ref of Array.isArray(pkg.externalRefs) ? pkg.externalRefs : []) {
+      const entry = ref.referenceType === 'purl' && toSbomComponent(pkg.SPDXID, ref.referenceLocator);
+      if (entry) components.push(entry);
+    }
+  }
+  return { format: 'spdx-json', specVersion: doc.spdxVersion.replace(/^SPDX-/, ''), name: doc.name || null, components };
+}
+
+// Tag-value documents: "PackageName:" starts a package, whose "SPDXID:" and
+// "ExternalRef: PACKAGE-MANAGER purl <purl>" lines follow
+function parseSpdxTagValue(text) {
+  const components = [];
+  let specVersion = null;
+  let name = null;
+  let ref = null;
+  let inPackage = false;
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^(\w+):\s*(.*?)\s*$/.exec(line);
+    if (!match) continue;
+    const [, tag, value] = match;
+    if (tag === 'SPDXVersion') specVersion = value.replace(/^SPDX-/, '');
+    else if (tag === 'DocumentName' && !inPackage) name = value;
+    else if (tag === 'PackageName') {
+      inPackage = true;
+      ref = null;
+    } else if (tag === 'SPDXID' && inPackage) {
+      ref = value;
+    } else if (tag === 'ExternalRef' && inPackage) {
+      const [, type, locator] = value.split(/\s+/);
+      const entry = type === 'purl' && toSbomComponent(ref, locator);
+      if (entry) components.push(entry);
+    }
+  }
+  return { format: 'spdx-tag-value', specVersion, name, components };
+}
+
+// An npm component with a version, or null. Components without a bom-ref are referred to by
+// their purl.
+function toSbomComponent(ref, purl) {
+  const parsed = typeof purl === 'string' ? parsePurl(purl) : null;
+  if (!parsed || parsed.type !== 'npm' || !parsed.version) return null;
+  return {
+    ref: ref || purl,
+    purl,
+    pkg: parsed.namespace ? `${parsed.namespace}/${parsed.name}` : parsed.name,
+    version: parsed.version
+  };
+}
+
+// Package URL (pkg:type/namespace/name@version?qualifiers#subpath), with percent-encoded
+// segments: "pkg:npm/%40ctrl/tinycolor@4.1.1" is @ctrl/tinycolor 4.1.1. An unencoded "@" of an
+// npm scope is accepted too.
+function parsePurl(purl) {
+  const match = /^pkg:\/*([a-zA-Z][a-zA-Z0-9.+-]*)\/([^?#]+)/.exec(purl.trim());
+  if (!match) return null;
+  let rest = match[2].replace(/\/+$/, '');
+  let version = null;
+  const at = rest.lastIndexOf('@');
+  if (at > 0 && rest[at - 1] !== '/') {
+    version = rest.slice(at + 1);
+    rest = rest.slice(0, at);
+  }
+  try {
+    const segments = rest.split('/').filter(Boolean).map(decodeURIComponent);
+    if (!segments.length) return null;
+    return {
+      type: match[1].toLowerCase(),
+      namespace: segments.length > 1 ? segments.slice(0, -1).join('/') : null,
+      name: segments[segments.length - 1],
+      version: version ? decodeURIComponent(version) : null
+    };
+  } catch (e) {
+    // Malformed percent-encoding
+    return null;
+  }
+}
+
+// 15. Library API
+// scan() runs a complete scan and resolves to the report the CLI renders. It never prints or
+// exits the process: progress messages and events go to options.onProgress, and invalid options
+// or missing advisory data reject with an error carrying the CLI's exit code (error.exitCode).
+async function scan(options = {}) {
+  return progressContext.run(options.onProgress || (() => {}), () => runScan(options));
+}
+
+// Fetch every advisory source and compare it with its last good snapshot (--check-sources)
+async function checkSources(options = {}) {
+  return progressContext.run(options.onProgress || (() => {}), async () => {
+    const { cache: cacheFile = process.env.WORM_SCANNER_CACHE || DEFAULT_CACHE_FILE, http: httpOptions = {} } = options;
+    const advisorySources = resolveAdvisorySources(options);
+    const { sources } = await fetchCompromisedPackages({ cacheFile, refresh: true, sources: advisorySources, http: httpOptions });
+    return { generatedAt: new Date().toISOString(), cacheFile, healthy: sources.every(src => src.status === 'fetched'), sources };
+  });
+}
+
+async function runScan(options) {
+  const {
+    dir: rootDir = '.',
+    recursive = false,
+    cache: cacheFile = process.env.WORM_SCANNER_CACHE || DEFAULT_CACHE_FILE,
+    offline = false,
+    refresh = false,
+    http: httpOptions = {},
+    installed = false,
+    iocFile = null,
+    exclude = [],
+    fix = false,
+    packuments = null,
+    gitHistory = false,
+    since = null,
+    diff: diffFile = null,
+    diffRef = null,
+    sbom = null,
+    system: systemMode = false,
+    triage: triageMode = false
+  } = options;
+  
+  if (offline && refresh) {
+    throw scanFailure("The offline and refresh options cannot be used together.");
+  }
+  let maxAge = null;
+  try {
+    maxAge = typeof options.maxAge === 'string' ? parseDuration(options.maxAge) : (options.maxAge ?? null);
+  } catch (e) {
+    throw scanFailure(e.message);
+  }
+  
+  // Exit-code policy (the "policy" block of .wormscanrc.json, overridden by failOn and minConfidence)
+  let policy;
+  try {
+    policy = loadPolicy(options.config, { failOn: options.failOn ?? null, minConfidence: options.minConfidence ?? null });
+  } catch (e) {
+    throw scanFailure(`Invalid policy: ${e.message}`);
+  }
+  const advisorySources = resolveAdvisorySources(options);
+  
+  if (since && !gitHistory && !triageMode) {
+    throw scanFailure("The since option only applies to git history scans and triage.");
+  }
+  if (since && isNaN(Date.parse(since))) {
+    throw scanFailure(`Invalid since date "${since}" (expected a date such as 2025-09-01)`);
+  }
+  if (gitHistory) {
+    try {
+      checkGitRepository(rootDir);
+    } catch (e) {
+      throw scanFailure(`Cannot scan git history: ${e.message}`);
+    }
+  }
+  
+  // Diff mode replaces the scan of the whole tree with the packages a change introduces
+  let diffLockfileList = null;
+  if (diffFile && diffRef) {
+    throw scanFailure("The diff and diffRef options cannot be used together.");
+  }
+  if ((diffFile || diffRef) && (recursive || fix)) {
+    throw scanFailure(`The diff options compare the lockfiles of one directory and cannot be combined with ${recursive ? 'recursive' : 'fix'}.`);
+  }
+  if (diffRef) {
+    try {
+      checkGitRepository(rootDir);
+      runGit(rootDir, ['rev-parse', '--verify', '--quiet', `${diffRef}^{commit}`]);
+    } catch (e) {
+      throw scanFailure(`Cannot diff against ${diffRef}: ${e.stderr !== undefined ? 'not a commit' : e.message}`);
+    }
+  }
+  if (diffFile || diffRef) {
+    try {
+      diffLockfileList = loadDiffLockfiles(rootDir, { diff: diffFile, diffRef });
+    } catch (e) {
+      throw scanFailure(`Cannot diff lockfiles: ${e.message}`);
+    }
+  }
+  
+  // SBOM mode scans the given documents instead of the tree
+  const sbomFiles = sbom === null ? [] : [].concat(sbom);
+  if (sbomFiles.length) {
+    const conflict = [['recursive', recursive], ['installed', installed], ['fix', fix], ['diff', diffFile || diffRef]].find(([, value]) => value);
+    if (conflict) {
+      throw scanFailure(`The sbom option scans SBOM documents instead of directories and cannot be combined with ${conflict[0]}.`);
+    }
+    const missing = sbomFiles.find(file => !fs.existsSync(file));
+    if (missing) throw scanFailure(`SBOM ${missing} does not exist`);
+  }
+  
+  // Walking for recursive scans, and worker threads for projects and workspace members
+  const maxDepth = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+  const workers = options.workers ?? DEFAULT_WORKERS;
+  for (const [name, value, min] of [['maxDepth', maxDepth, 0], ['workers', workers, 1]]) {
+    if (!Number.isInteger(Number(value)) || Number(value) < min) {
+      throw scanFailure(`Invalid ${name} "${value}" (expected a whole number of at least ${min})`);
+    }
+  }
+  
+  const scanOptions = {
+    installed,
+    iocs: null,
+    rootDir,
+    suppressions: [],
+    advisories: null,
+    exclude,
+    maxDepth: Number(maxDepth),
+    workers: Number(workers)
+  };
+  const ignoreFile = options.ignoreFile || path.join(rootDir, IGNORE_FILE_NAME);
+  try {
+    scanOptions.suppressions = loadSuppressions(ignoreFile, !options.ignoreFile);
+  } catch (e) {
+    throw scanFailure(`Could not load suppressions from ${ignoreFile}: ${e.message}`);
+  }
+  if (installed || systemMode || triageMode) {
+    try {
+      scanOptions.iocs = loadIOCs(iocFile);
+    } catch (e) {
+      throw scanFailure(`Could not load IOC file ${iocFile}: ${e.message}`);
+    }
+  }
+  
+  // Remediation: fix: true writes overrides, fix: 'dry-run' only plans them
+  const dryRun = fix === 'dry-run';
+  let getVersions = null;
+  if (fix) {
+    try {
+      getVersions = createPackumentReader(packuments);
+    } catch (e) {
+      throw scanFailure(`Could not load registry metadata from ${packuments}: ${e.message}`);
+    }
+  }
+  
+  log.info(offline ? `Loading compromised packages from ${cacheFile}...` : "Fetching compromised packages...");
+  const { compromised, provenance, confidence, sources } = await fetchCompromisedPackages({
+    cacheFile, offline, refresh, maxAge, sources: advisorySources, http: httpOptions
+  });
+  if (!Object.keys(compromised).length) {
+    // An empty database means we could not check anything, which must not look like a clean scan
+    throw scanFailure("No compromised packages found in advisories (sources unreachable and no usable cache).", EXIT_CODES.advisoryFailure);
+  }
+  if (policy.minConfidence > 0) {
+    const dropped = applyMinConfidence(compromised, confidence, policy.minConfidence);
+    log.info(`Ignoring ${dropped} advisory entries below confidence ${policy.minConfidence}`);
+  }
+  scanOptions.advisories = { provenance, confidence };
+  emitProgress('advisories', { totalPackages: Object.keys(compromised).length, sources });
+  
+  // Track project stats
+  const stats = {
+    totalProjects: 0,
+    compromisedProjects: 0,
+    cleanProjects: 0,
+    scanErrors: 0
+  };
+  let projects;
+  let diff = null;
+
+  if (diffLockfileList) {
+    log.info(`\nComparing lockfiles in ${rootDir} with ${diffFile || diffRef}...`);
+    const manifestFile = await readProjectManifest(rootDir);
+    diff = diffLockfiles(rootDir, diffLockfileList, compromised, { ...scanOptions, manifest: manifestFile && manifestFile.manifest });
+    diff.base = diffFile || diffRef;
+    for (const line of formatDiffText(diff)) log.info(line);
+    stats.scanErrors += diff.errors.length;
+    projects = [];
+  } else if (recursive || sbomFiles.length) {
+    // Scan all subdirectories with package.json files, or every SBOM
+    projects = sbomFiles.length
+      ? sbomFiles.map(file => scanSbom(file, compromised, stats, scanOptions))
+      : await scanRecursively(rootDir, compromised, stats, scanOptions);
+    
+    // Print overall summary
+    log.info("\n" + "=".repeat(50));
+    log.info("SCAN SUMMARY");
+    log.info("=".repeat(50));
+    log.info(`Total projects scanned: ${stats.totalProjects}`);
+    
+    if (stats.compromisedProjects > 0) {
+      log.info(`🚨 Compromised packages found in ${stats.compromisedProjects} project(s)`);
+    } else {
+      log.info(`✅ No compromised packages found in ${stats.totalProjects} project(s)`);
+    }
+  } else {
+    // Only scan the specified directory
+    projects = await scanProjects([rootDir], compromised, stats, scanOptions);
+  }
+  
+  let history = null;
+  if (gitHistory) {
+    log.info(`\nScanning git history of lockfiles${since ? ` since ${since}` : ''}...`);
+    try {
+      history = scanGitHistory(rootDir, compromised, { since: since && new Date(since).toISOString(), advisories: scanOptions.advisories });
+      history.since = since;
+      for (const line of formatHistoryText(history)) log.info(line);
+      stats.scanErrors += history.errors.length;
+    } catch (e) {
+      log.error(`Error scanning git history: ${e.message}`);
+      stats.scanErrors++;
+    }
+  }
+  
+  let system = null;
+  if (systemMode) {
+    log.info(`\nScanning package manager caches and global installs...`);
+    system = scanSystem(compromised, scanOptions.iocs, scanOptions.advisories);
+    for (const line of formatSystemText(system)) log.info(line);
+    stats.scanErrors += system.errors.length;
+  }
+  
+  let triage = null;
+  if (triageMode) {
+    log.info(`\nTriaging repositories and credentials...`);
+    const compromisedSomewhere = projects.some(project => project.findings.length) || !!(history && history.exposures.length) ||
+      !!(system && system.locations.some(location => location.findings.length)) || !!(diff && diff.lockfiles.some(lockfile => lockfile.findings.length));
+    triage = runTriage(diff ? [rootDir] : projects.map(project => project.path), scanOptions.iocs, {
+      rootDir,
+      compromised: compromisedSomewhere,
+      since: since && new Date(since).toISOString()
+    });
+    for (const line of formatTriageText(triage)) log.info(line);
+  }
+  
+  // Print summary of compromised packages database
+  log.info(`\nAdvisory database summary:`);
+  log.info(`- Total compromised packages: ${Object.keys(compromised).length}`);
+  
+  // Print a few examples
+  const examples = Object.entries(compromised).slice(0, 5);
+  if (examples.length) {
+    log.info(`- Examples of compromised packages:`);
+    for (const [pkg, versions] of examples) {
+      log.info(`  * ${pkg} (${versions.length} versions)`);
+    }
+  }
+  
+  const report = {
+    generatedAt: new Date().toISOString(),
+    root: rootDir,
+    advisories: {
+      totalPackages: Object.keys(compromised).length,
+      sources
+    },
+    policy,
+    projects,
+    summary: {
+      ...stats,
+      totalFindings: projects.reduce((sum, project) => sum + project.findings.length, 0),
+      failingFindings: 0,
+      suppressedFindings: projects.reduce((sum, project) => sum + project.suppressed.length, 0)
+    }
+  };
+  if (history) {
+    report.history = history;
+    report.summary.historicalExposures = history.exposures.length;
+  }
+  if (diff) {
+    report.diff = diff;
+    report.summary.introducedFindings = diff.lockfiles.reduce((sum, lockfile) => sum + lockfile.findings.length, 0);
+    report.summary.newInstallScripts = diff.lockfiles.reduce((sum, lockfile) => sum + lockfile.installScripts.length, 0);
+    report.summary.unknownInstallScripts = diff.lockfiles.reduce((sum, lockfile) => sum + lockfile.unknownInstallScripts.length, 0);
+  }
+  if (system) {
+    report.system = system;
+    report.summary.systemFindings = system.locations.reduce((sum, location) => sum + location.findings.length, 0);
+  }
+  if (triage) {
+    report.triage = triage;
+    report.summary.triageFindings = triage.repositories.reduce((sum, repo) => sum + repo.findings.length, 0);
+  }
+  report.summary.failingFindings = Object.values(countFailures(report)).reduce((sum, count) => sum + count, 0);
+  
+  if (fix) {
+    log.info(dryRun ? `\nRemediation (dry run, nothing is written):` : `\nRemediation:`);
+    report.fixes = [];
+    for (const project of projects.filter(p => p.findings.length)) {
+      try {
+        const planned = remediateProject(project, compromised, getVersions, { dryRun });
+        report.fixes.push(planned);
+        for (const line of formatFixText(planned)) log.info(line);
+      } catch (e) {
+        log.warn(`⚠️  Could not fix ${project.path}: ${e.message}`);
+      }
+    }
+    if (!report.fixes.some(planned => planned.changes.length)) {
+      log.info('No overrides to write.');
+    } else if (!dryRun) {
+      log.info('Run your package manager\'s install command to update the lockfile.');
+    }
+  }
+  
+  report.exitCode = getExitCode(report);
+  return report;
+}
+
+// Sources given to the API replace the built-in and configured ones; otherwise they are read
+// from the config file (or .wormscanrc.json) and sourcesFile like on the command line
+function resolveAdvisorySources({ sources = null, config = null, sourcesFile = null }) {
+  try {
+    return sources ? sources.map(normalizeAdvisorySource) : loadAdvisorySources({ configFile: config, sourcesFile });
+  } catch (e) {
+    throw scanFailure(`Could not load advisory sources: ${e.message}`);
+  }
+}
+
+// Compromised findings the policy fails on win over scan errors, which win over advisory failures
+// Failing findings in each part of a report, following --fail-on. The summary, the exit code
+// and the JUnit report all count failures here
+function countFailures(report) {
+  const failing = (findings) => findings.filter(f => isFailingFinding(f, report.policy.failOn)).length;
+  const sum = (items, count) => items.reduce((total, item) => total + count(item), 0);
+  return {
+    projects: sum(report.projects, project => failing(project.findings)),
+    // A compromised version locked at any point of the history counts like a locked finding
+    history: report.history ? failing(report.history.exposures) : 0,
+    // Diff mode fails on compromised versions and install scripts the change introduces
+    diff: report.diff ? sum(report.diff.lockfiles, lockfile => failing(lockfile.findings) + (report.policy.failOn === 'none' ? 0 : lockfile.installScripts.length)) : 0,
+    system: report.system ? sum(report.system.locations, location => failing(location.findings)) : 0,
+    // Worm workflows, branches and remotes are direct evidence, like IOCs in installed packages
+    triage: report.triage ? sum(report.triage.repositories, repo => failing(repo.findings)) : 0
+  };
+}
+
+function getExitCode(report) {
+  const failedSources = report.advisories.sources.filter(src => src.status === 'failed' || src.status === 'degraded');
+  // Project, history, diff, system and triage failures are all counted by countFailures()
+  if (report.summary.failingFindings > 0) return EXIT_CODES.compromised;
+  if (report.summary.scanErrors > 0) return EXIT_CODES.scanError;
+  if (failedSources.length && report.policy.failOnAdvisoryErrors) return EXIT_CODES.advisoryFailure;
+  return EXIT_CODES.clean;
+}
+
+function scanFailure(message, exitCode = EXIT_CODES.scanError) {
+  return Object.assign(new Error(message), { exitCode });
+}
+
+// Route a progress message to the running scan()'s onProgress hook, or to the console
+function writeLog(level, args) {
+  const onProgress = progressContext.getStore();
+  if (onProgress) {
+    onProgress({ type: 'log', level, message: util.format(...args) });
+  } else {
+    console[level === 'info' ? 'log' : level](...args);
+  }
+}
+
+// Progress events recorded by a worker thread (or held back while planning a scan), delivered
+// as if this thread had produced them now
+function replayProgress(event) {
+  const { type, ...data } = event;
+  if (type === 'log') writeLog(data.level, [data.message]);
+  else emitProgress(type, data);
+}
+
+// Progress events: 'source' (an advisory source was read), 'advisories' (the advisory database
+// is ready) and 'project' (a project was scanned)
+function emitProgress(type, data) {
+  const onProgress = progressContext.getStore();
+  if (onProgress) onProgress({ type, ...data });
+}
+
+module.exports = {
+  scan,
+  checkSources,
+  getExitCode,
+  EXIT_CODES,
+  SEVERITY_CLASSES,
+  ADVISORY_SOURCES,
+  // Advisories
+  fetchURL,
+  fetchCompromisedPackages,
+  loadAdvisorySources,
+  registerParser,
+  parseAdvisory,
+  parsers: {
+    generic: parseGeneric,
+    wiz: parseWiz,
+    stepsecurity: parseStepSecurity,
+    ox: parseOX,
+    github: parseGitHubAdvisory,
+    osv: parseOSV,
+    ghsa: parseGHSA
+  },
+  // Version matching
+  parseVersion,
+  parseRange,
+  satisfiesRange,
+  rangesIntersect,
+  matchesCompromisedSpec,
+  // Project files
+  scanPackageJSON,
+  scanPackageLockData,
+  parseYarnLock,
+  scanYarnLock,
+  parsePnpmLock,
+  scanPnpmLock,
+  scanInstalledPackages,
+  loadIOCs,
+  classifyFinding,
+  isFailingFinding,
+  // SBOMs
+  parseSbom,
+  parsePurl,
+  // Reports
+  renderReport,
+  formatText,
+  formatJSON,
+  formatSARIF,
+  formatJUnit
+};
+
+// 16. Command line interface: parses flags into scan() options, prints progress, renders the report
+async function main() {
+  // Process command line arguments
+  const args = process.argv.slice(2);
+  const dirIndex = Math.max(args.indexOf('--dir'), args.indexOf('-d'));
+  const customDir = dirIndex >= 0 && args.length > dirIndex + 1 ? args[dirIndex + 1] : null;
+  
+  // Report options
+  const format = (getArgValue(args, ['--format', '-f']) || 'text').toLowerCase();
+  const outputFile = getArgValue(args, ['--output', '-o']);
+  if (!REPORT_FORMATS.includes(format)) {
+    console.error(`Unknown --format "${format}" (expected one of: ${REPORT_FORMATS.join(', ')})`);
+    process.exit(EXIT_CODES.scanError);
+  }
+  if (format !== 'text' && !outputFile) {
+    // Keep stdout clean for the machine-readable report; progress goes to stderr
+    console.log = console.error;
+  }
+  
+  // HTTP options: extra CA certificates (PEM bundle) for TLS-intercepting corporate proxies
+  const httpOptions = {};
+  const caFile = getArgValue(args, ['--ca-file']);
+  if (caFile) {
+    try {
+      httpOptions.ca = fs.readFileSync(caFile, 'utf8');
+    } catch (e) {
+      console.error(`Could not read CA bundle ${caFile}: ${e.message}`);
+      process.exit(EXIT_CODES.scanError);
+    }
+  }
+  
+  const options = {
+    dir: customDir || '.',
+    recursive: args.includes('--recursive') || args.includes('-r'),
+    config: getArgValue(args, ['--config']),
+    sourcesFile: getArgValue(args, ['--sources']),
+    cache: getArgValue(args, ['--cache']) || undefined,
+    offline: args.includes('--offline'),
+    refresh: args.includes('--refresh'),
+    maxAge: getArgValue(args, ['--max-age']),
+    http: httpOptions,
+    installed: args.includes('--installed'),
+    iocFile: getArgValue(args, ['--ioc-file']),
+    exclude: getArgValues(args, '--exclude'),
+    maxDepth: getArgValue(args, ['--max-depth']),
+    workers: getArgValue(args, ['--workers']),
+    ignoreFile: getArgValue(args, ['--ignore-file']),
+    failOn: getArgValue(args, ['--fail-on']),
+    minConfidence: getArgValue(args, ['--min-confidence']),
+    fix: args.includes('--fix-dry-run') ? 'dry-run' : args.includes('--fix'),
+    packuments: getArgValue(args, ['--packuments']),
+    gitHistory: args.includes('--git-history'),
+    since: getArgValue(args, ['--since']),
+    diff: getArgValue(args, ['--diff']),
+    diffRef: getArgValue(args, ['--diff-ref']),
+    sbom: getArgValues(args, '--sbom'),
+    system: args.includes('--system'),
+    triage: args.includes('--triage'),
+    onProgress: printProgress
+  };
+
+  // --check-sources: fetch every source, compare it with its last good snapshot and exit
+  if (args.includes('--check-sources')) {
+    if (!['text', 'json'].includes(format)) {
+      console.error(`--check-sources writes a text or JSON report; --format ${format} is not supported with it.`);
+      process.exit(EXIT_CODES.scanError);
+    }
+    if (options.offline) {
+      console.error("--check-sources needs network access and cannot be combined with --offline.");
+      process.exit(EXIT_CODES.scanError);
+    }
+    console.log("Checking advisory sources...");
+    const health = await checkSources(options).catch(exitWithError);
+    const output = format === 'json' ? formatJSON(health) : formatSourceHealth(health.sources).join('\n') + '\n';
+    writeOutput(output, outputFile, health.healthy ? EXIT_CODES.clean : EXIT_CODES.advisoryFailure, `Source health report written to ${outputFile}`);
+    return;
+  }
+
+  const report = await scan(options).catch(exitWithError);
+  
+  const failedSources = report.advisories.sources.filter(src => src.status === 'failed' || src.status === 'degraded');
+  const { failOn } = report.policy;
+  console.log(`\nPolicy: fail on ${failOn === 'none' ? 'nothing' : `${failOn} or more severe`} (${report.summary.failingFindings} failing finding(s))`);
+  if (report.summary.scanErrors) console.log(`⚠️  ${report.summary.scanErrors} file(s) could not be scanned`);
+  if (failedSources.length) console.log(`⚠️  Advisory sources failed or degraded: ${failedSources.map(src => src.name || src.url).join(', ')}`);
+  
+  if (format === 'text' && !outputFile) {
+    // The text report was printed project by project while scanning
+    process.exit(report.exitCode);
+  }
+  writeOutput(renderReport(report, format), outputFile, report.exitCode, `\nReport written to ${outputFile} (${format})`);
+}
+
+// Print scan() progress the way the CLI always has: messages only, events are already logged
+function printProgress(event) {
+  if (event.type !== 'log') return;
+  if (event.level === 'info') console.log(event.message);
+  else console[event.level](event.message);
+}
+
+function exitWithError(e) {
+  console.error(e.exitCode ? e.message : `Unexpected error: ${e.stack || e.message}`);
+  process.exit(e.exitCode || EXIT_CODES.scanError);
+}
+
+// Write a report to --output, or to stdout and let it drain before exiting so large
+// reports are not truncated when piped
+function writeOutput(output, outputFile, exitCode, writtenMessage) {
+  if (!outputFile) {
+    process.stdout.write(output, () => process.exit(exitCode));
+    return;
+  }
+  try {
+    fs.writeFileSync(outputFile, output);
+    console.log(writtenMessage);
+  } catch (e) {
+    console.error(`Could not write report to ${outputFile}: ${e.message}`);
+    process.exit(EXIT_CODES.scanError);
+  }
+  process.exit(exitCode);
+}
+
+if (!isMainThread && workerData && workerData.wormScannerWorker) {
+  runProjectWorker();
+} else if (require.main === module) {
+  main();
+}
+
+// Helper to read the value following a command line flag
+function getArgValue(args, names) {
+  for (const name of names) {
+    const index = args.indexOf(name);
+    if (index >= 0 && args.length > index + 1) return args[index + 1];
+  }
+  return null;
+}
+
+// Values of a flag that may be repeated, e.g. --exclude a --exclude b
+function getArgValues(args, name) {
+  return args.flatMap((arg, index) => (arg === name && index + 1 < args.length ? [args[index + 1]] : []));
+}
+
+// Helper function to scan recursively: every directory with a package.json, except workspace
+// members, which are scanned with their monorepo root
+async function scanRecursively(rootDir, compromised, stats, options = {}) {
+  try {
+    // Get all directories with package.json files
+    const projectDirs = await findAllProjectDirs(rootDir, options);
+    return await scanProjects(projectDirs, compromised, stats, options);
+  } catch (e) {
+    log.error(`Error scanning recursively: ${e.message}`);
+    stats.scanErrors++;
+    return [];
+  }
+}
+
+// Scan project directories, reported in the given order. Workspace membership is resolved
+// first; then the files of every project root and every workspace member (reading and parsing
+// lockfiles is the expensive part) are scanned by a pool of worker threads, and the main thread
+// puts each monorepo back together.
+async function scanProjects(projectDirs, compromised, stats, options = {}) {
+  const plans = [];
+  const covered = new Set();
+  for (const dir of projectDirs) {
+    if (covered.has(path.resolve(dir))) continue;
+    const plan = await planProject(dir, options);
+    for (const member of plan.members) covered.add(path.resolve(member.dir));
+    plans.push(plan);
+  }
+  
+  // One task per project root and per workspace member, keyed by directory
+  const tasks = new Map();
+  for (const plan of plans) {
+    tasks.set(path.resolve(plan.dir), { dir: plan.dir, manifestFile: plan.manifestFile, members: plan.members, isMember: false });
+    for (const member of plan.members) {
+      tasks.set(path.resolve(member.dir), { dir: member.dir, manifestFile: member.manifestFile, members: [], isMember: true });
+    }
+  }
+  const workers = Math.min(options.workers ?? DEFAULT_WORKERS, tasks.size);
+  let pool = null;
+  if (workers > 1) {
+    log.info(`Scanning ${tasks.size} projects and workspaces with ${workers} worker threads...`);
+    pool = createProjectPool(workers, compromised, options);
+  }
+  // Without worker threads a few tasks still run at a time, so the thread is not left waiting for the disk
+  const limit = createLimiter(INLINE_TASKS);
+  
+  try {
+    const pending = new Map([...tasks].map(([key, task]) => [key, pool ? pool.scan(task) : limit(() => scanTask(task, compromised, options))]));
+    const scanFiles = async (dir) => {
+      const task = tasks.get(path.resolve(dir));
+      const result = await pending.get(path.resolve(dir));
+      if (!result.error) {
+        for (const event of result.events) replayProgress(event);
+        return result;
+      }
+      log.warn(`  ⚠️  ${pool ? 'Worker thread failed' : 'Scan failed'} (${result.error}); scanning ${dir} again`);
+      const errors = [];
+      const findings = await scanProjectFiles(dir, task.manifestFile, compromised, options, { members: task.members, isMember: task.isMember, errors });
+      return { findings, errors };
+    };
+    
+    const projects = [];
+    for (const plan of plans) {
+      projects.push(await assembleProject(plan, scanFiles, stats, options));
+    }
+    return projects;
+  } finally {
+    if (pool) pool.close();
+  }
+}
+
+// Read a project's package.json and resolve its workspace members. Messages are held back and
+// shown with the project.
+async function planProject(dir, options) {
+  const plan = { dir, manifestFile: null, members: [], errors: [], events: [] };
+  await progressContext.run(event => plan.events.push(event), async () => {
+    plan.manifestFile = await readProjectManifest(dir, plan.errors);
+    plan.members = await findWorkspaceMembers(dir, plan.manifestFile && plan.manifestFile.manifest, options);
+  });
+  return plan;
+}
+
+// Worker threads running runProjectWorker(). scan(task) resolves to { findings, errors, events },
+// or to { error } when the worker died, so the caller can scan the files itself.
+function createProjectPool(size, compromised, options) {
+  const queue = [];
+  const slots = [];
+  
+  const dispatch = () => {
+    for (const slot of slots) {
+      if (slot.task || !queue.length) continue;
+      slot.task = queue.shift();
+      slot.worker.postMessage(slot.task.message);
+    }
+    if (!slots.length) {
+      for (const task of queue.splice(0)) task.resolve({ error: 'no worker threads left' });
     }
-  } catch (e) { /* ignore */ }
+  };
+  const retire = (slot, error) => {
+    if (!slots.includes(slot)) return;
+    slots.splice(slots.indexOf(slot), 1);
+    if (slot.task) slot.task.resolve({ error });
+    dispatch();
+  };
+  
+  for (let i = 0; i < size; i++) {
+    const slot = { worker: new Worker(__filename, { workerData: { wormScannerWorker: true, compromised, options } }), task: null };
+    slot.worker.on('message', result => {
+      const task = slot.task;
+      slot.task = null;
+      task.resolve(result);
+      dispatch();
+    });
+    slot.worker.on('error', e => retire(slot, e.message));
+    slot.worker.on('exit', code => retire(slot, `exited with code ${code}`));
+    slots.push(slot);
+  }
+  
+  return {
+    scan: (message) => new Promise(resolve => {
+      queue.push({ message, resolve });
+      dispatch();
+    }),
+    close: () => {
+      for (const slot of slots.splice(0)) slot.worker.terminate();
+    }
+  };
+}
+
+// Run at most `max` of the async functions passed to the returned function at a time
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+  const next = () => {
+    if (active >= max || !waiting.length) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    fn().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (fn) => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+// Scan the files of one project root or workspace member, keeping the progress events it
+// produces for when the project is reported: { findings, errors, events } or { error }
+async function scanTask({ dir, manifestFile, members, isMember }, compromised, options) {
+  const events = [];
+  const errors = [];
+  try {
+    const findings = await progressContext.run(event => events.push(event),
+      () => scanProjectFiles(dir, manifestFile, compromised, options, { members, isMember, errors }));
+    return { findings, errors, events };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// Entry point of a worker thread: one scanTask() per message
+function runProjectWorker() {
+  const { compromised, options } = workerData;
+  parentPort.on('message', async (task) => {
+    parentPort.postMessage(await scanTask(task, compromised, options));
+  });
+}
+
+// Report one project from the scans of its files (scanFiles(dir) resolves to { findings, errors }).
+// A monorepo root also reports its workspace members and attributes findings from the shared
+// lockfile to the member that needs them.
+async function assembleProject(plan, scanFiles, stats, options) {
+  const { dir, manifestFile, members } = plan;
+  log.info(`\nScanning directory: ${dir}`);
+  for (const event of plan.events) replayProgress(event);
+  stats.totalProjects++;
+  
+  const errors = [...plan.errors];
+  const manifest = manifestFile ? manifestFile.manifest : null;
+  const projectName = manifestFile ? (manifest.name || path.basename(dir)) : "Unknown Project";
+  if (members.length) {
+    log.info(`  Found ${members.length} workspace(s): ${members.map(member => member.relPath).join(', ')}`);
+  }
+  
+  const root = await scanFiles(dir);
+  const findings = [...root.findings];
+  errors.push(...root.errors);
+  
+  // Workspace members: their own package.json, any nested lockfile and node_modules
+  for (const member of members) {
+    log.info(`  Scanning workspace ${member.name} (${member.relPath})...`);
+    const scanned = await scanFiles(member.dir);
+    for (const f of scanned.findings) {
+      f.file = `${member.relPath}/${f.file}`;
+      f.workspaces = [member.relPath];
+      findings.push(f);
+    }
+    errors.push(...scanned.errors);
+  }
+
+  for (const f of findings) {
+    f.severity = classifyFinding(f);
+    attachProvenance(f, options.advisories);
+  }
+  
+  // Triaged findings are reported separately and do not fail the scan
+  const { active, suppressed } = applySuppressions(findings, dir, options);
 
   // Report findings for this directory
+  const project = { path: dir, name: projectName, findings: active, suppressed, errors };
+  if (members.length) {
+    project.workspaces = summarizeWorkspaces(project, members);
+    project.verdict = active.length ? 'compromised' : 'clean';
+  }
+  for (const line of formatProjectText(project)) {
+    log.info(line);
+  }
+  emitProgress('project', { project });
+  if (active.length) {
+    stats.compromisedProjects++;
+  } else {
+    stats.cleanProjects++;
+  }
+  stats.scanErrors += errors.length;
+  
+  return project;
+}
+
+// A missing package.json is normal; an unreadable one is recorded as a scan error
+async function readProjectManifest(dir, errors = null) {
+  try {
+    const content = await fs.promises.readFile(path.join(dir, 'package.json'), 'utf8');
+    return { manifest: JSON.parse(content), content };
+  } catch (e) {
+    if (e.code !== 'ENOENT' && errors) {
+      log.warn(`  Error reading package.json in ${dir}: ${e.message}`);
+      errors.push(`${path.join(dir, 'package.json')}: ${e.message}`);
+    }
+    return null;
+  }
+}
+
+// Scan one directory's package.json, lockfiles and (optionally) node_modules.
+// Workspace members rarely have lockfiles of their own, so missing files are not logged for them.
+async function scanProjectFiles(dir, manifestFile, compromised, options, { members = [], isMember = false, errors = [] } = {}) {
+  const findings = [];
+  const manifest = manifestFile ? manifestFile.manifest : null;
+  const logMissing = (message) => {
+    if (!isMember) log.info(message);
+  };
+  // One directory listing instead of a failed read for every lockfile that does not exist
+  const files = new Set(await fs.promises.readdir(dir).catch(() => []));
+  const readLockfile = (name) => (files.has(name) ? fs.promises.readFile(path.join(dir, name), 'utf8') : null);
+  
+  if (manifestFile) {
+    log.info(`  Scanning package.json...`);
+    findings.push(...locateFindings(scanPackageJSON(manifest, compromised), 'package.json', manifestFile.content));
+  } else {
+    logMissing(`  No package.json found in ${dir}`);
+  }
+
+  // Try to load package-lock.json
+  try {
+    const content = await readLockfile('package-lock.json');
+    if (content === null) {
+      logMissing(`  No package-lock.json found in ${dir}`);
+    } else {
+      const pkgLockData = JSON.parse(content);
+      const lockfileVersion = pkgLockData.lockfileVersion || 1;
+      log.info(`  Scanning package-lock.json (lockfileVersion ${lockfileVersion})...`);
+      findings.push(...locateFindings(scanPackageLockData(pkgLockData, compromised, manifest), 'package-lock.json', content));
+    }
+  } catch (e) {
+    log.warn(`  Error scanning package-lock.json: ${e.message}`);
+    errors.push(`${path.join(dir, 'package-lock.json')}: ${e.message}`);
+  }
+
+  // Also check for pnpm-lock.yaml and yarn.lock
+  try {
+    const content = await readLockfile('pnpm-lock.yaml');
+    if (content !== null) {
+      log.info(`  Scanning pnpm-lock.yaml...`);
+      findings.push(...locateFindings(scanPnpmLock(content, compromised, manifest, members), 'pnpm-lock.yaml', content));
+    }
+  } catch (e) {
+    log.warn(`  Error scanning pnpm-lock.yaml: ${e.message}`);
+    errors.push(`${path.join(dir, 'pnpm-lock.yaml')}: ${e.message}`);
+  }
+  
+  try {
+    const content = await readLockfile('yarn.lock');
+    if (content !== null) {
+      log.info(`  Scanning yarn.lock...`);
+      findings.push(...locateFindings(scanYarnLock(content, compromised, manifest, members), 'yarn.lock', content));
+    }
+  } catch (e) {
+    log.warn(`  Error scanning yarn.lock: ${e.message}`);
+    errors.push(`${path.join(dir, 'yarn.lock')}: ${e.message}`);
+  }
+
+  // Optionally check what is physically installed, which lockfiles may not reflect
+  if (options.installed) {
+    const installedFindings = scanInstalledPackages(dir, compromised, options.iocs);
+    if (installedFindings !== null) findings.push(...installedFindings);
+    else logMissing(`  No node_modules found in ${dir}`);
+  }
+  
+  return findings;
+}
+
+// Workspace patterns from package.json ("workspaces": [...] or { "packages": [...] }) and pnpm-workspace.yaml
+function readWorkspacePatterns(dir, manifest) {
+  const patterns = [];
+  if (manifest && manifest.workspaces) {
+    const workspaces = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces.packages;
+    if (Array.isArray(workspaces)) patterns.push(...workspaces);
+  }
+  
+  const pnpmWorkspacePath = path.join(dir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    try {
+      const doc = parseYamlSubset(fs.readFileSync(pnpmWorkspacePath, 'utf8'));
+      if (Array.isArray(doc.packages)) patterns.push(...doc.packages);
+    } catch (e) {
+      log.warn(`  Error reading pnpm-workspace.yaml: ${e.message}`);
+    }
+  }
+  return patterns.filter(pattern => typeof pattern === 'string');
+}
+
+// Match a path against a workspace glob: "*" and "?" stay within a directory, "**" spans any depth
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i++;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Resolve workspace patterns to member directories with a package.json ("!pattern" excludes)
+async function findWorkspaceMembers(rootDir, manifest, walkOptions = {}) {
+  const patterns = readWorkspacePatterns(rootDir, manifest);
+  if (!patterns.length) return [];
+  
+  const normalize = (pattern) => pattern.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, '');
+  const include = patterns.filter(pattern => !pattern.startsWith('!')).map(pattern => globToRegExp(normalize(pattern)));
+  const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(normalize(pattern)));
+  
+  const members = [];
+  for (const dir of await findAllProjectDirs(rootDir, walkOptions)) {
+    const relPath = path.relative(rootDir, dir).split(path.sep).join('/');
+    if (!relPath || !include.some(re => re.test(relPath)) || exclude.some(re => re.test(relPath))) continue;
+    
+    const manifestFile = await readProjectManifest(dir);
+    members.push({
+      name: (manifestFile && manifestFile.manifest.name) || relPath,
+      dir,
+      relPath,
+      manifestFile
+    });
+  }
+  return members;
+}
+
+// Per-workspace summary of a monorepo. Member findings belong to that member; findings from the
+// shared lockfile belong to every workspace a dependency chain starts from; the rest to the root.
+function summarizeWorkspaces(project, members) {
+  const workspaces = [
+    { name: project.name, path: '.' },
+    ...members.map(member => ({ name: member.name, path: member.relPath }))
+  ];
+  for (const f of project.findings) {
+    if (f.workspaces) continue;
+    const attributed = new Set();
+    for (const chain of f.paths || []) {
+      const member = workspaces.find(ws => ws.path !== '.' && ws.name === chain[0]);
+      attributed.add(member ? member.path : '.');
+    }
+    f.workspaces = attributed.size ? Array.from(attributed).sort() : ['.'];
+  }
+  
+  return workspaces.map(ws => {
+    const findings = project.findings.filter(f => f.workspaces.includes(ws.path)).length;
+    return { ...ws, findings, verdict: findings ? 'compromised' : 'clean' };
+  });
+}
+
+// Read .wormscanignore.json: an array of suppressions, or { "suppressions": [...] }. Each needs the
+// package, a reason and an expiry date; version and path narrow it down. A missing default file is fine.
+function loadSuppressions(file, optional = true) {
+  if (optional && !fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(data) ? data : data.suppressions;
+  if (!Array.isArray(entries)) throw new Error('expected an array of suppressions');
+  
+  return entries.map((entry, index) => {
+    const label = `suppression #${index + 1}${entry && entry.package ? ` (${entry.package})` : ''}`;
+    if (!entry || typeof entry.package !== 'string' || !entry.package) throw new Error(`${label} needs a "package"`);
+    if (typeof entry.reason !== 'string' || !entry.reason.trim()) throw new Error(`${label} needs a "reason"`);
+    if (typeof entry.expires !== 'string') throw new Error(`${label} needs an "expires" date`);
+    // A plain date stays valid until the end of that day (UTC)
+    const expiresAt = new Date(/^\d{4}-\d{2}-\d{2}$/.test(entry.expires) ? `${entry.expires}T23:59:59.999Z` : entry.expires);
+    if (isNaN(expiresAt)) throw new Error(`${label} has an invalid "expires" date: ${entry.expires}`);
+    
+    return {
+      package: entry.package,
+      version: entry.version || null,
+      path: entry.path ? entry.path.replace(/^\.\//, '').replace(/\/+$/, '') : null,
+      reason: entry.reason.trim(),
+      expires: entry.expires,
+      expired: expiresAt.getTime() < Date.now()
+    };
+  });
+}
+
+function suppressionMatches(suppression, f, file) {
+  if (suppression.package !== f.pkg) return false;
+  if (suppression.version && suppression.version !== f.version && suppression.version !== f.matchedVersion &&
+      !(parseVersion(f.version) && satisfiesRange(suppression.version, f.version))) {
+    return false;
+  }
+  // Paths are relative to the scanned directory: a file, a directory containing it, or a glob
+  if (suppression.path && file !== suppression.path && !file.startsWith(`${suppression.path}/`) &&
+      !globToRegExp(suppression.path).test(file)) {
+    return false;
+  }
+  return true;
+}
+
+// Split findings into active and suppressed ones. Expired suppressions no longer apply; the
+// finding stays active and is annotated so the report shows why it is failing again.
+function applySuppressions(findings, dir, options) {
+  const active = [];
+  const suppressed = [];
+  const suppressions = options.suppressions || [];
+  for (const f of findings) {
+    const file = path.relative(options.rootDir || dir, path.join(dir, f.file || '')).split(path.sep).join('/');
+    const matches = suppressions.filter(s => suppressionMatches(s, f, file));
+    const current = matches.find(s => !s.expired);
+    if (current) {
+      f.suppression = { reason: current.reason, expires: current.expires };
+      suppressed.push(f);
+      continue;
+    }
+    if (matches.length) {
+      f.suppression = { reason: matches[0].reason, expires: matches[0].expires, expired: true };
+    }
+    active.push(f);
+  }
+  return { active, suppressed };
+}
+
+// Record which file each finding came from and the line it appears on (used by SARIF annotations)
+function locateFindings(findings, file, content) {
+  const lines = content.split(/\r?\n/);
+  for (const f of findings) {
+    f.file = file;
+    f.line = findFindingLine(lines, file, f);
+  }
+  return findings;
+}
+
+function findFindingLine(lines, file, f) {
+  const needles = {
+    'package.json': [`"${f.pkg}"`],
+    'package-lock.json': [`node_modules/${f.pkg}"`, `"${f.pkg}": {`],
+    'yarn.lock': [`${f.pkg}@`],
+    'pnpm-lock.yaml': [`${f.pkg}@${f.version}`, `/${f.pkg}/${f.version}`, `${f.pkg}@`]
+  }[file] || [f.pkg];
+  
+  // Lockfile entries start at the left margin (or one level in), dependency references are
+  // indented further, so prefer shallow matches before accepting any line
+  for (const isEntry of [line => /^\s{0,4}\S/.test(line), () => true]) {
+    for (const needle of needles) {
+      const index = lines.findIndex(line => line.includes(needle) && isEntry(line));
+      if (index !== -1) return index + 1;
+    }
+  }
+  return null;
+}
+
+// Pick the scanner matching the lockfile format.
+// lockfileVersion 2 and 3 (npm v7+) describe the whole tree in "packages"; v2 also keeps a
+// legacy "dependencies" copy for older npm, which may be empty or incomplete.
+// The project's package.json (manifest) names the root and, for lockfileVersion 1, its direct dependencies.
+function scanPackageLockData(pkgLockData, compromised, manifest = null) {
+  const lockfileVersion = pkgLockData.lockfileVersion || 1;
+  const isV7 = lockfileVersion >= 2 && pkgLockData.packages;
+  const findings = isV7 ? scanPackageLockV7(pkgLockData, compromised) : scanPackageLock(pkgLockData, compromised);
+  
+  // Explain how each compromised package got into the tree
   if (findings.length) {
-    console.log(`  🚨 Detected compromised packages in ${projectName}:`);
+    const graph = isV7 ? buildPackageLockV7Graph(pkgLockData, manifest) : buildPackageLockV1Graph(pkgLockData, manifest);
     for (const f of findings) {
-      console.log(`  - ${f.pkg}@${f.version} [${f.section}]`);
+      attachDependencyPaths(f, graph, [f.lockPath]);
     }
-    stats.compromisedProjects++;
-  } else {
-    console.log(`  ✅ No compromised packages detected in ${projectName}`);
-    stats.cleanProjects++;
   }
-  
   return findings;
 }
 
+// Work out the installed package name for a "packages" entry of an npm v7+ lockfile
+function getLockPackageName(pkgPath, meta) {
+  // Aliased installs ("alias": "npm:real-pkg@^1.0.0") record the real name in the entry
+  if (meta.name) return meta.name;
+  
+  // Use the segment after the last node_modules, e.g.
+  // "node_modules/a/node_modules/@scope/pkg" -> "@scope/pkg"
+  const marker = 'node_modules/';
+  const index = pkgPath.lastIndexOf(marker);
+  if (index === -1) return null;
+  
+  const parts = pkgPath.slice(index + marker.length).split('/');
+  if (parts[0].startsWith('@')) {
+    return parts.length >= 2 ? `${parts[0]}/${parts[1]}` : null;
+  }
+  return parts[0] || null;
+}
+
 // Scan npm v7+ package-lock.json format
 function scanPackageLockV7(pkgLockData, compromised) {
   const findings = [];
@@ -694,51 +4527,884 @@ function scanPackageLockV7(pkgLockData, compromised) {
   // npm v7+ uses a "packages" field for all dependencies
   if (pkgLockData.packages) {
     for (const [pkgPath, meta] of Object.entries(pkgLockData.packages)) {
-      // Skip the root package
-      if (pkgPath === '') continue;
+      // Skip the root package, workspace folders and symlinks to them
+      if (pkgPath === '' || meta.link || !pkgPath.includes('node_modules/')) continue;
+      if (!meta.version) continue;
       
-      // Extract package name from path
-      // Format is typically "node_modules/pkg" or "node_modules/pkg/node_modules/nested-pkg"
-      const pathParts = pkgPath.split('/');
-      const pkgNameIndex = pathParts.findIndex((part, idx) => idx > 0 && pathParts[idx-1] === 'node_modules');
+      const pkg = getLockPackageName(pkgPath, meta);
+      if (!pkg) continue;
       
-      if (pkgNameIndex === -1 || !meta.version) continue;
+      // Check if package name is in the compromised list
+      const finding = matchLockedVersion(pkg, meta.version, "package-lock-v7", compromised);
+      if (finding) {
+        finding.lockPath = pkgPath;
+        findings.push(finding);
+      }
+    }
+  }
+  
+  return findings;
+}
+
+// Dependency graphs for "why is this here" attribution. Nodes are keyed by a lockfile id and
+// hold a display label, the ids they depend on, and whether they are a root (the project or a
+// workspace importer) that chains start from.
+function addGraphNode(graph, id, label, root = false) {
+  if (!graph.has(id)) graph.set(id, { label, deps: new Set(), root });
+  return graph.get(id);
+}
+
+// Every chain from a root down to one of the target nodes, shortest first, e.g.
+// ['app', 'eslint-plugin-x@2.1.0', '@ctrl/tinycolor@4.1.1']
+function findDependencyPaths(graph, targetIds) {
+  // Only walk back through nodes a root can reach, so every partial chain can be completed
+  const parents = new Map();
+  const reachable = new Set();
+  const queue = [...graph.keys()].filter(id => graph.get(id).root);
+  while (queue.length) {
+    const id = queue.shift();
+    if (reachable.has(id)) continue;
+    reachable.add(id);
+    for (const dep of graph.get(id).deps) {
+      // Chains start at the nearest importer, so edges into other roots are not followed
+      if (!graph.has(dep) || graph.get(dep).root) continue;
+      if (!parents.has(dep)) parents.set(dep, []);
+      parents.get(dep).push(id);
+      queue.push(dep);
+    }
+  }
+  
+  const paths = [];
+  const onChain = new Set();
+  let truncated = false;
+  const walk = (id, chain) => {
+    if (truncated) return;
+    const node = graph.get(id);
+    if (node.root) {
+      if (paths.length === MAX_DEPENDENCY_PATHS) truncated = true;
+      else paths.push([node.label, ...chain]);
+      return;
+    }
+    onChain.add(id);
+    for (const parent of parents.get(id) || []) {
+      if (!onChain.has(parent)) walk(parent, [node.label, ...chain]);
+    }
+    onChain.delete(id);
+  };
+  for (const id of targetIds) {
+    if (reachable.has(id)) walk(id, []);
+  }
+  
+  paths.sort((a, b) => a.length - b.length);
+  return { paths, truncated };
+}
+
+function attachDependencyPaths(finding, graph, targetIds) {
+  const { paths, truncated } = findDependencyPaths(graph, targetIds);
+  finding.paths = paths;
+  if (truncated) finding.pathsTruncated = true;
+}
+
+// Label for the project root in dependency chains
+function getRootLabel(manifest, fallback) {
+  return (manifest && manifest.name) || fallback || 'root';
+}
+
+// Resolve a dependency the way Node does: the nearest node_modules folder up the tree that
+// contains it. Lockfile paths look like "node_modules/a/node_modules/@scope/b".
+function resolveLockDependencyPath(packages, fromPath, name) {
+  let base = fromPath;
+  for (;;) {
+    const candidate = `${base ? base + '/' : ''}node_modules/${name}`;
+    if (packages[candidate]) return candidate;
+    if (!base) return null;
+    const index = base.lastIndexOf('/node_modules/');
+    base = index === -1 ? '' : base.slice(0, index);
+  }
+}
+
+// npm v7+ lockfiles: the root ("") and workspace folders are importers, everything under
+// node_modules is a package. Links point at the folder they were installed from.
+function buildPackageLockV7Graph(pkgLockData, manifest) {
+  const graph = new Map();
+  const packages = pkgLockData.packages;
+  
+  for (const [pkgPath, meta] of Object.entries(packages)) {
+    if (meta.link) continue;
+    const isImporter = !pkgPath.includes('node_modules/');
+    let label;
+    if (pkgPath === '') label = getRootLabel(manifest, meta.name || pkgLockData.name);
+    else if (isImporter) label = meta.name || pkgPath;
+    else label = `${getLockPackageName(pkgPath, meta)}@${meta.version}`;
+    const node = addGraphNode(graph, pkgPath, label, isImporter);
+    
+    const sections = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+    if (isImporter) sections.push('devDependencies');
+    for (const section of sections) {
+      for (const name of Object.keys(meta[section] || {})) {
+        const depPath = resolveLockDependencyPath(packages, pkgPath, name);
+        if (depPath === null) continue;
+        const target = packages[depPath];
+        node.deps.add(target.link && target.resolved ? target.resolved : depPath);
+      }
+    }
+  }
+  return graph;
+}
+
+// lockfileVersion 1: a nested "dependencies" tree where "requires" lists what each package
+// needs. The root's direct dependencies come from package.json.
+function buildPackageLockV1Graph(pkgLockData, manifest) {
+  const packages = {};
+  const collect = (dependencies, parentPath) => {
+    for (const [name, meta] of Object.entries(dependencies || {})) {
+      const lockPath = `${parentPath ? parentPath + '/' : ''}node_modules/${name}`;
+      packages[lockPath] = meta;
+      collect(meta.dependencies, lockPath);
+    }
+  };
+  collect(pkgLockData.dependencies, '');
+  
+  const graph = new Map();
+  const root = addGraphNode(graph, '', getRootLabel(manifest, pkgLockData.name), true);
+  const required = new Set();
+  for (const [lockPath, meta] of Object.entries(packages)) {
+    let name = lockPath.slice(lockPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+    let version = meta.version || '';
+    if (version.startsWith('npm:')) {
+      ({ name, range: version } = splitPackageSpec(version.slice(4)));
+    }
+    const node = addGraphNode(graph, lockPath, `${name}@${version}`);
+    for (const dep of Object.keys(meta.requires || {})) {
+      const depPath = resolveLockDependencyPath(packages, lockPath, dep);
+      if (depPath === null) continue;
+      node.deps.add(depPath);
+      required.add(depPath);
+    }
+  }
+  
+  const rootSections = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+  if (manifest) {
+    for (const section of rootSections) {
+      for (const name of Object.keys(manifest[section] || {})) {
+        const depPath = resolveLockDependencyPath(packages, '', name);
+        if (depPath !== null) root.deps.add(depPath);
+      }
+    }
+  } else {
+    // Without package.json, top-level packages nothing else requires must be direct dependencies
+    for (const name of Object.keys(pkgLockData.dependencies || {})) {
+      if (!required.has(`node_modules/${name}`)) root.deps.add(`node_modules/${name}`);
+    }
+  }
+  return graph;
+}
+
+// Parse yarn.lock, either classic v1 syntax or Yarn Berry's YAML format.
+// Returns one entry per resolved package: { name, version, specs, resolved, integrity, dependencies }.
+// Berry also lists workspaces; their entries carry the workspace folder in "workspace".
+function parseYarnLock(content) {
+  const isBerry = /^__metadata:\s*$/m.test(content);
+  const entries = [];
+  let current = null;
+  let section = null;
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    if (!rawLine.trim() || rawLine.trim().startsWith('#')) continue;
+    const indent = rawLine.length - rawLine.trimStart().length;
+    const line = rawLine.trim();
+    
+    if (indent === 0) {
+      // Entry header: one or more comma-separated specs, e.g. "@scope/pkg@^1.0.0", pkg@~1.2.0:
+      current = null;
+      section = null;
+      if (!line.endsWith(':')) continue;
+      const specs = parseYarnHeader(line.slice(0, -1));
+      if (specs[0] === '__metadata') continue;
+      current = { specs, fields: {}, dependencies: {} };
+      entries.push(current);
+      continue;
+    }
+    if (!current) continue;
+    
+    const kv = parseYarnKeyValue(line);
+    if (!kv) continue;
+    
+    if (indent <= 2) {
+      if (kv.value === '') {
+        // Nested block such as "dependencies:" or "peerDependenciesMeta:"
+        section = kv.key;
+      } else {
+        section = null;
+        current.fields[kv.key] = kv.value;
+      }
+    } else if (section === 'dependencies' || section === 'optionalDependencies') {
+      current.dependencies[kv.key] = kv.value;
+    }
+  }
+  
+  const packages = [];
+  for (const entry of entries) {
+    const resolvedPkg = isBerry ? resolveBerryEntry(entry) : resolveYarnV1Entry(entry);
+    if (resolvedPkg) packages.push(resolvedPkg);
+  }
+  return packages;
+}
+
+// v1 quotes each spec separately, Berry quotes the whole comma-separated list
+function parseYarnHeader(header) {
+  const specs = [];
+  for (const part of header.match(/"(?:[^"\\]|\\.)*"|[^,]+/g) || []) {
+    for (const spec of unquoteYarnValue(part).split(',')) {
+      if (spec.trim()) specs.push(spec.trim());
+    }
+  }
+  return specs;
+}
+
+// Split a yarn.lock line into key and value ("key value" in v1, "key: value" in Berry)
+function parseYarnKeyValue(line) {
+  let key, rest;
+  if (line.startsWith('"')) {
+    const end = findClosingQuote(line, 0);
+    if (end === -1) return null;
+    key = unquoteYarnValue(line.slice(0, end + 1));
+    rest = line.slice(end + 1);
+  } else {
+    const match = line.match(/^([^\s"]+?)(?=:\s|:$|\s|$)/);
+    if (!match) return null;
+    key = match[1];
+    rest = line.slice(match[1].length);
+  }
+  rest = rest.replace(/^:/, '').trim();
+  return { key, value: unquoteYarnValue(rest) };
+}
+
+function findClosingQuote(str, start) {
+  for (let i = start + 1; i < str.length; i++) {
+    if (str[i] === '\\') i++;
+    else if (str[i] === '"') return i;
+  }
+  return -1;
+}
+
+function unquoteYarnValue(value) {
+  value = value.trim();
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value.slice(1, -1);
+    }
+  }
+  return value;
+}
+
+// Split "name@range" into its parts, keeping the leading @ of scoped names
+function splitPackageSpec(spec) {
+  const at = spec.indexOf('@', 1);
+  if (at === -1) return { name: spec, range: '' };
+  return { name: spec.slice(0, at), range: spec.slice(at + 1) };
+}
+
+function resolveYarnV1Entry(entry) {
+  const version = entry.fields.version;
+  if (!version || !entry.specs.length) return null;
+  
+  let { name, range } = splitPackageSpec(entry.specs[0]);
+  // Aliased installs ("alias@npm:real-pkg@^1.0.0") resolve to the real package
+  if (range.startsWith('npm:')) {
+    const target = splitPackageSpec(range.slice(4));
+    if (target.range) name = target.name;
+  }
+  
+  return {
+    name,
+    version,
+    specs: entry.specs,
+    resolved: entry.fields.resolved || null,
+    integrity: entry.fields.integrity || null,
+    dependencies: entry.dependencies
+  };
+}
+
+function resolveBerryEntry(entry) {
+  const version = entry.fields.version;
+  const resolution = entry.fields.resolution;
+  if (!version || !resolution) return null;
+  
+  // Resolution looks like "name@npm:1.2.3" or "name@patch:name@npm%3A1.2.3#..."
+  const { name, range } = splitPackageSpec(resolution);
+  const protocol = range.slice(0, range.indexOf(':'));
+  if (protocol === 'workspace') {
+    return { name, version, specs: entry.specs, workspace: range.slice('workspace:'.length), dependencies: entry.dependencies };
+  }
+  if (protocol !== 'npm' && !(protocol === 'patch' && decodeURIComponent(range).includes('@npm:'))) {
+    // Links, git and file dependencies are not registry packages
+    return null;
+  }
+  
+  return {
+    name,
+    version,
+    specs: entry.specs,
+    resolved: resolution,
+    integrity: entry.fields.checksum || null,
+    dependencies: entry.dependencies
+  };
+}
+
+// Scan yarn.lock (v1 or Berry) for compromised packages
+function scanYarnLock(content, compromised, manifest = null, members = []) {
+  const entries = parseYarnLock(content);
+  const findings = [];
+  let graph = null;
+  entries.forEach((entry, index) => {
+    if (entry.workspace !== undefined) return;
+    const finding = matchLockedVersion(entry.name, entry.version, "yarn-lock", compromised);
+    if (!finding) return;
+    graph = graph || buildYarnGraph(entries, manifest, members);
+    attachDependencyPaths(finding, graph, [index]);
+    findings.push(finding);
+  });
+  return findings;
+}
+
+// yarn.lock entries are keyed by the specs that resolve to them ("pkg@^1.0.0"). Berry lists
+// workspaces as importers; for classic lockfiles the root's and workspace members' dependencies
+// come from their package.json files.
+function buildYarnGraph(entries, manifest, members = []) {
+  const bySpec = new Map();
+  entries.forEach((entry, index) => {
+    for (const spec of entry.specs) bySpec.set(spec, index);
+  });
+  const resolve = (name, range) => {
+    const index = bySpec.has(`${name}@${range}`) ? bySpec.get(`${name}@${range}`) : bySpec.get(`${name}@npm:${range}`);
+    return index === undefined ? null : index;
+  };
+  
+  const graph = new Map();
+  entries.forEach((entry, index) => {
+    const isWorkspace = entry.workspace !== undefined;
+    let label = `${entry.name}@${entry.version}`;
+    if (isWorkspace) label = entry.workspace === '.' ? getRootLabel(manifest, entry.name) : entry.name;
+    const node = addGraphNode(graph, index, label, isWorkspace);
+    for (const [name, range] of Object.entries(entry.dependencies)) {
+      const dep = resolve(name, range);
+      if (dep !== null) node.deps.add(dep);
+    }
+  });
+  
+  if (!entries.some(entry => entry.workspace !== undefined)) {
+    const importers = [{ id: 'root', label: getRootLabel(manifest), manifest }];
+    for (const member of members) {
+      if (member.manifestFile) importers.push({ id: `workspace:${member.relPath}`, label: member.name, manifest: member.manifestFile.manifest });
+    }
+    for (const importer of importers) {
+      if (!importer.manifest) continue;
+      const node = addGraphNode(graph, importer.id, importer.label, true);
+      for (const section of ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']) {
+        for (const [name, range] of Object.entries(importer.manifest[section] || {})) {
+          const dep = resolve(name, range);
+          if (dep !== null) node.deps.add(dep);
+        }
+      }
+    }
+  }
+  return graph;
+}
+
+// Minimal YAML reader covering the subset pnpm writes: block mappings, block
+// sequences, quoted scalars and single-line flow collections.
+// Scalars stay strings (except true/false/null) so versions like 1.10 survive.
+function parseYamlSubset(content) {
+  const lines = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = stripYamlComment(rawLine);
+    if (!line.trim() || line.trim() === '---' || line.trim() === '...') continue;
+    lines.push({ indent: line.length - line.trimStart().length, text: line.trim() });
+  }
+  
+  const root = {};
+  const stack = [{ indent: -1, container: root }];
+  
+  for (let i = 0; i < lines.length; i++) {
+    const { indent, text } = lines[i];
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    const container = stack[stack.length - 1].container;
+    
+    if (Array.isArray(container)) {
+      if (!text.startsWith('-')) continue;
+      const item = text.slice(1).trim();
+      const kv = splitYamlKeyValue(item);
+      if (kv && !/^["'[{]/.test(item)) {
+        // "- key: value" starts a mapping inside the sequence
+        const obj = {};
+        if (kv.value !== '') obj[kv.key] = parseYamlScalar(kv.value);
+        container.push(obj);
+        stack.push({ indent, container: obj });
+      } else {
+        container.push(parseYamlScalar(item));
+      }
+      continue;
+    }
+    
+    const kv = splitYamlKeyValue(text);
+    if (!kv) continue;
+    if (kv.value !== '') {
+      container[kv.key] = parseYamlScalar(kv.value);
+      continue;
+    }
+    
+    // Empty value: a nested mapping or sequence follows (sequences may sit at the key's own indent)
+    const next = lines[i + 1];
+    if (next && next.indent >= indent && next.text.startsWith('-')) {
+      container[kv.key] = [];
+      stack.push({ indent: next.indent === indent ? indent - 0.5 : indent, container: container[kv.key] });
+    } else {
+      container[kv.key] = {};
+      stack.push({ indent, container: container[kv.key] });
+    }
+  }
+  return root;
+}
+
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line;
+}
+
+function splitYamlKeyValue(text) {
+  let key, rest;
+  if (text[0] === '"' || text[0] === "'") {
+    const end = text.indexOf(text[0], 1);
+    if (end === -1) return null;
+    key = unquoteYamlScalar(text.slice(0, end + 1));
+    rest = text.slice(end + 1);
+    if (!/^:(\s|$)/.test(rest)) return null;
+  } else {
+    const match = text.match(/^(.+?):(?:\s+|$)/);
+    if (!match) return null;
+    key = match[1];
+    rest = text.slice(match[1].length);
+  }
+  return { key, value: rest.replace(/^:/, '').trim() };
+}
+
+function unquoteYamlScalar(value) {
+  if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  if (value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value.slice(1, -1);
+    }
+  }
+  return value;
+}
+
+function parseYamlScalar(value) {
+  if (value.startsWith('{') && value.endsWith('}')) {
+    const obj = {};
+    for (const part of splitYamlFlowItems(value.slice(1, -1))) {
+      const kv = splitYamlKeyValue(part);
+      if (kv) obj[kv.key] = parseYamlScalar(kv.value);
+    }
+    return obj;
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitYamlFlowItems(value.slice(1, -1)).map(parseYamlScalar);
+  }
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null' || value === '~') return null;
+  return unquoteYamlScalar(value);
+}
+
+// Split the inside of a flow collection on top-level commas
+function splitYamlFlowItems(str) {
+  const items = [];
+  let depth = 0, quote = null, current = '';
+  for (const ch of str) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      if (current.trim()) items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+// Turn a pnpm package key into name and version:
+//   v5:  /name/1.2.3, /@scope/name/1.2.3_peer@1.0.0
+//   v6:  /name@1.2.3, /@scope/name@1.2.3(peer@1.0.0)
+//   v9:  name@1.2.3, @scope/name@1.2.3(peer@1.0.0)
+function parsePnpmPackageKey(key, meta, lockfileMajor) {
+  if (meta && meta.name && meta.version) {
+    return { name: meta.name, version: String(meta.version) };
+  }
+  
+  const spec = key.replace(/^\//, '');
+  if (lockfileMajor < 6) {
+    const parts = spec.split('/');
+    const scoped = parts[0].startsWith('@');
+    const name = scoped ? `${parts[0]}/${parts[1]}` : parts[0];
+    const version = parts[scoped ? 2 : 1];
+    return version ? { name, version: version.split('_')[0] } : null;
+  }
+  
+  const base = spec.split('(')[0];
+  const at = base.lastIndexOf('@');
+  return at > 0 ? { name: base.slice(0, at), version: base.slice(at + 1) } : null;
+}
+
+// Resolve a dependency reference ("1.2.3", "1.2.3(peer@1.0.0)", "/real@1.2.3", ...) to a package key
+function resolvePnpmDependencyKey(name, ref, graph, lockfileMajor) {
+  if (ref && typeof ref === 'object') ref = ref.version;
+  if (!ref || typeof ref !== 'string' || ref.startsWith('link:')) return null;
+  if (graph[ref]) return ref;
+  
+  if (lockfileMajor >= 9) {
+    // Aliased dependencies reference the real package ("real-pkg@1.2.3")
+    return ref.split('(')[0].lastIndexOf('@') > 0 ? ref : `${name}@${ref}`;
+  }
+  if (ref.startsWith('/')) return ref;
+  return lockfileMajor >= 6 ? `/${name}@${ref}` : `/${name}/${ref}`;
+}
+
+// Parse pnpm-lock.yaml (lockfile versions 5, 6 and 9).
+// Returns every resolved package together with the importers (workspace projects) that pull it in
+// and its package keys in the dependency graph (nodes "importer:<path>" and package keys).
+function parsePnpmLock(content, manifest = null, members = []) {
+  const doc = parseYamlSubset(content);
+  const lockfileMajor = parseInt(String(doc.lockfileVersion || '5'), 10) || 5;
+  const packages = doc.packages || {};
+  // v9 moved the dependency graph into "snapshots"; "packages" only holds metadata
+  const graph = lockfileMajor >= 9 && doc.snapshots ? doc.snapshots : packages;
+  // Lockfiles of single projects keep the root importer's dependencies at the top level
+  const importers = doc.importers || { '.': doc };
+  const depSections = ['dependencies', 'devDependencies', 'optionalDependencies'];
+  
+  // Walk the graph from each importer's direct dependencies
+  const importersByKey = new Map();
+  const dependencyGraph = new Map();
+  for (const [importerPath, importer] of Object.entries(importers)) {
+    const member = members.find(m => m.relPath === importerPath);
+    const label = importerPath === '.' ? getRootLabel(manifest, '.') : (member ? member.name : importerPath);
+    const importerNode = addGraphNode(dependencyGraph, `importer:${importerPath}`, label, true);
+    const queue = [];
+    for (const section of depSections) {
+      for (const [name, ref] of Object.entries(importer[section] || {})) {
+        const key = resolvePnpmDependencyKey(name, ref, graph, lockfileMajor);
+        if (key) {
+          importerNode.deps.add(key);
+          queue.push(key);
+        }
+      }
+    }
+    
+    const seen = new Set();
+    while (queue.length) {
+      const key = queue.shift();
+      if (seen.has(key)) continue;
+      seen.add(key);
       
-      const pkg = pathParts[pkgNameIndex];
+      if (!importersByKey.has(key)) importersByKey.set(key, new Set());
+      importersByKey.get(key).add(importerPath);
       
-      // Check if package name is in the compromised list
-      if (compromised[pkg]) {
-        // Check if any of the compromised versions match
-        for (const compVersion of compromised[pkg]) {
-          // Check for exact match
-          if (meta.version === compVersion) {
-            findings.push({ pkg, version: meta.version, section: "package-lock-v7" });
-            break;
-          }
-          
-          // Next, check if the version could include the compromised version
-          if (satisfiesRange(meta.version, compVersion)) {
-            findings.push({ 
-              pkg, 
-              version: `${meta.version} (matches ${compVersion})`, 
-              section: "package-lock-v7" 
-            });
-            break;
-          }
+      const node = graph[key] || {};
+      const parsed = parsePnpmPackageKey(key, packages[key] || packages[key.split('(')[0]] || node, lockfileMajor);
+      const graphNode = addGraphNode(dependencyGraph, key, parsed ? `${parsed.name}@${parsed.version}` : key);
+      for (const section of ['dependencies', 'optionalDependencies']) {
+        for (const [name, ref] of Object.entries(node[section] || {})) {
+          const depKey = resolvePnpmDependencyKey(name, ref, graph, lockfileMajor);
+          if (!depKey) continue;
+          graphNode.deps.add(depKey);
+          if (!seen.has(depKey)) queue.push(depKey);
+        }
+      }
+    }
+  }
+  
+  // Collapse peer-dependency variants of the same package into one entry
+  const resolved = new Map();
+  const allKeys = new Set([...Object.keys(graph), ...Object.keys(packages), ...importersByKey.keys()]);
+  for (const key of allKeys) {
+    const meta = packages[key] || packages[key.split('(')[0]] || graph[key];
+    const parsed = parsePnpmPackageKey(key, meta, lockfileMajor);
+    if (!parsed) continue;
+    
+    const id = `${parsed.name}@${parsed.version}`;
+    if (!resolved.has(id)) resolved.set(id, { name: parsed.name, version: parsed.version, importers: new Set(), keys: [], requiresBuild: false });
+    resolved.get(id).keys.push(key);
+    if (meta && meta.requiresBuild === true) resolved.get(id).requiresBuild = true;
+    for (const importerPath of importersByKey.get(key) || []) {
+      resolved.get(id).importers.add(importerPath);
+    }
+  }
+  
+  const entries = Array.from(resolved.values()).map(entry => ({
+    name: entry.name,
+    version: entry.version,
+    importers: Array.from(entry.importers).sort(),
+    keys: entry.keys,
+    // v9 lockfiles no longer record which packages run install scripts
+    requiresBuild: entry.requiresBuild || (lockfileMajor >= 9 ? null : false)
+  }));
+  return { packages: entries, graph: dependencyGraph };
+}
+
+// Scan pnpm-lock.yaml for compromised packages
+function scanPnpmLock(content, compromised, manifest = null, members = []) {
+  const { packages, graph } = parsePnpmLock(content, manifest, members);
+  const findings = [];
+  for (const entry of packages) {
+    const finding = matchLockedVersion(entry.name, entry.version, "pnpm-lock", compromised);
+    if (finding) {
+      finding.importers = entry.importers;
+      attachDependencyPaths(finding, graph, entry.keys);
+      findings.push(finding);
+    }
+  }
+  return findings;
+}
+
+// Walk a project's node_modules tree (nested installs, scoped packages, pnpm's .pnpm virtual
+// store and symlinked workspace packages) and collect each package with the version from its
+// own package.json. Returns null when the project has no node_modules directory.
+function findInstalledPackages(projectDir) {
+  const rootModules = path.join(projectDir, 'node_modules');
+  if (!fs.existsSync(rootModules)) return null;
+  
+  const installed = [];
+  const visited = new Set();
+  
+  function readEntries(dir) {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return [];
+    }
+  }
+  
+  function visitPackage(pkgDir) {
+    // Symlinks (pnpm, workspaces, npm link) can point at the same package many times or form cycles
+    let realDir;
+    try {
+      realDir = fs.realpathSync(pkgDir);
+    } catch (e) {
+      return; // dangling symlink
+    }
+    if (visited.has(realDir)) return;
+    visited.add(realDir);
+    
+    try {
+      const pkgData = JSON.parse(fs.readFileSync(path.join(realDir, 'package.json'), 'utf8'));
+      if (pkgData.name && pkgData.version) {
+        installed.push({
+          name: pkgData.name,
+          version: pkgData.version,
+          path: path.relative(projectDir, pkgDir),
+          realPath: realDir,
+          scripts: pkgData.scripts
+        });
+      }
+    } catch (e) { /* not a package directory */ }
+    
+    visitNodeModules(path.join(pkgDir, 'node_modules'));
+  }
+  
+  function visitNodeModules(modulesDir) {
+    for (const entry of readEntries(modulesDir)) {
+      const entryPath = path.join(modulesDir, entry.name);
+      if (entry.name === '.pnpm') {
+        // pnpm virtual store: .pnpm/<name>@<version>/node_modules/<name>, plus hoisted .pnpm/node_modules
+        for (const storeEntry of readEntries(entryPath)) {
+          const storePath = path.join(entryPath, storeEntry.name);
+          visitNodeModules(storeEntry.name === 'node_modules' ? storePath : path.join(storePath, 'node_modules'));
+        }
+      } else if (entry.name.startsWith('.')) {
+        continue; // .bin, .cache, .package-lock.json, ...
+      } else if (entry.name.startsWith('@')) {
+        for (const scoped of readEntries(entryPath)) {
+          visitPackage(path.join(entryPath, scoped.name));
         }
+      } else if (entry.isDirectory() || entry.isSymbolicLink()) {
+        visitPackage(entryPath);
+      }
+    }
+  }
+  
+  visitNodeModules(rootModules);
+  return installed;
+}
+
+// Load the built-in IOC list, merged with an optional user-supplied JSON file
+function loadIOCs(iocFile) {
+  const iocs = {};
+  const extra = iocFile ? JSON.parse(fs.readFileSync(iocFile, 'utf8')) : {};
+  for (const kind of Object.keys(DEFAULT_IOCS)) {
+    iocs[kind] = [...DEFAULT_IOCS[kind], ...(extra[kind] || [])];
+  }
+  
+  // Compile patterns up front so a bad expression in the IOC file fails fast. The same regex
+  // tests many files, so the g and y flags, which make test() resume at lastIndex, are dropped
+  for (const kind of ['patterns', 'scripts', 'workflows', 'branches', 'repositories']) {
+    iocs[kind] = iocs[kind].map(ioc => ({ ...ioc, regex: new RegExp(ioc.pattern, (ioc.flags || '').replace(/[gy]/g, '')) }));
+  }
+  iocs.hashes = iocs.hashes.map(ioc => ({ ...ioc, sha256: ioc.sha256.toLowerCase() }));
+  return iocs;
+}
+
+// Check one installed package for IOCs. Only the files an install would run are hashed and
+// searched (top-level scripts and anything referenced from lifecycle scripts), which keeps
+// large node_modules trees fast.
+function findPackageIOCs(pkg, iocs) {
+  const hits = [];
+  const lifecycle = ['preinstall', 'install', 'postinstall', 'prepare'];
+  const scripts = pkg.scripts || {};
+  
+  for (const hook of lifecycle) {
+    if (typeof scripts[hook] !== 'string') continue;
+    for (const ioc of iocs.scripts) {
+      if (ioc.regex.test(scripts[hook])) {
+        hits.push({ indicator: ioc.description, file: 'package.json', needle: `"${hook}"` });
       }
     }
   }
   
+  for (const ioc of iocs.files) {
+    if (fs.existsSync(path.join(pkg.realPath, ioc.path))) {
+      hits.push({ indicator: ioc.description, file: ioc.path });
+    }
+  }
+  
+  // Candidate payload files
+  const candidates = new Set();
+  try {
+    for (const entry of fs.readdirSync(pkg.realPath, { withFileTypes: true })) {
+      if (entry.isFile() && /\.(c|m)?js$/.test(entry.name)) candidates.add(entry.name);
+    }
+  } catch (e) { /* unreadable package directory */ }
+  for (const hook of lifecycle) {
+    const match = typeof scripts[hook] === 'string' && scripts[hook].match(/node\s+(\S+\.(?:c|m)?js)/);
+    if (!match) continue;
+    // Only files inside the package: a script can name any path, such as node ../../x.js
+    const file = path.relative(pkg.realPath, path.resolve(pkg.realPath, match[1]));
+    if (!file.startsWith('..') && !path.isAbsolute(file)) candidates.add(file);
+  }
+  
+  for (const file of candidates) {
+    const filePath = path.join(pkg.realPath, file);
+    let content;
+    try {
+      if (fs.statSync(filePath).size > IOC_MAX_FILE_SIZE) continue;
+      content = fs.readFileSync(filePath);
+    } catch (e) {
+      continue;
+    }
+    
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    for (const ioc of iocs.hashes) {
+      if (ioc.sha256 === sha256) hits.push({ indicator: `${ioc.description} (sha256 ${sha256})`, file });
+    }
+    
+    const text = content.toString('utf8');
+    for (const ioc of iocs.patterns) {
+      const match = ioc.regex.exec(text);
+      if (match) {
+        hits.push({ indicator: ioc.description, file, line: text.slice(0, match.index).split('\n').length });
+      }
+    }
+  }
+  
+  return hits;
+}
+
+// Scan installed packages on disk, whether or not any manifest references them
+function scanInstalledPackages(projectDir, compromised, iocs = null) {
+  const installed = findInstalledPackages(projectDir);
+  if (installed === null) return null;
+  
+  log.info(`  Scanning installed packages in node_modules (${installed.length} packages)...`);
+  const findings = [];
+  for (const pkg of installed) {
+    const pkgJsonFile = path.join(pkg.path, 'package.json').split(path.sep).join('/');
+    let pkgJsonContent = '';
+    try {
+      pkgJsonContent = fs.readFileSync(path.join(projectDir, pkgJsonFile), 'utf8');
+    } catch (e) { /* vanished while scanning */ }
+    
+    const finding = matchLockedVersion(pkg.name, pkg.version, "installed", compromised);
+    if (finding) {
+      findings.push(...locateFindings([finding], pkgJsonFile, pkgJsonContent));
+    }
+    
+    if (!iocs) continue;
+    for (const hit of findPackageIOCs(pkg, iocs)) {
+      const file = path.join(pkg.path, hit.file).split(path.sep).join('/');
+      let line = hit.line || null;
+      if (hit.needle) {
+        const index = pkgJsonContent.split(/\r?\n/).findIndex(l => l.includes(hit.needle));
+        line = index === -1 ? null : index + 1;
+      }
+      findings.push({
+        type: 'ioc',
+        pkg: pkg.name,
+        version: pkg.version,
+        matchedVersion: null,
+        section: 'ioc',
+        indicator: hit.indicator,
+        file,
+        line
+      });
+    }
+  }
   return findings;
 }
 
-// Find all directories containing package.json files
-function findAllProjectDirs(rootDir) {
+// Find all directories containing package.json files, each before the directories below it.
+// node_modules, hidden directories and directories matching an exclude glob (relative to
+// rootDir) are skipped. Symlinked directories are followed when they point into the tree; each
+// real directory is visited once, so symlink cycles cannot loop.
+async function findAllProjectDirs(rootDir, { exclude = [], maxDepth = DEFAULT_MAX_DEPTH } = {}) {
   const results = [];
+  const visited = new Set();
+  const excludes = exclude.map(glob => globToRegExp(glob.replace(/^\.\//, '').replace(/\/+$/, '')));
   
-  function traverseDir(dir) {
-    const items = fs.readdirSync(dir, { withFileTypes: true });
+  async function traverseDir(dir, depth, realRoot) {
+    let items;
+    try {
+      const realDir = await fs.promises.realpath(dir);
+      const inTree = path.relative(realRoot, realDir);
+      if (visited.has(realDir) || inTree.startsWith('..') || path.isAbsolute(inTree)) return;
+      visited.add(realDir);
+      items = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      // Dangling symlinks and symlinks to files are not projects
+      if (!['ENOENT', 'ENOTDIR'].includes(e.code)) log.warn(`  ⚠️  Could not read ${dir}: ${e.message}`);
+      return;
+    }
     
     // Check if this directory has a package.json
     if (items.some(item => item.isFile() && item.name === 'package.json')) {
@@ -746,17 +5412,23 @@ function findAllProjectDirs(rootDir) {
     }
     
     // Traverse subdirectories, skipping node_modules
-    for (const item of items) {
-      if (item.isDirectory() && item.name !== 'node_modules' && !item.name.startsWith('.')) {
-        traverseDir(path.join(dir, item.name));
-      }
+    const subdirs = items.filter(item => (item.isDirectory() || item.isSymbolicLink()) && item.name !== 'node_modules' && !item.name.startsWith('.'));
+    if (subdirs.length && depth >= maxDepth) {
+      log.warn(`  ⚠️  Not searching below ${dir}: more than ${maxDepth} directories deep`);
+      return;
+    }
+    for (const item of subdirs) {
+      const subdir = path.join(dir, item.name);
+      const relPath = path.relative(rootDir, subdir).split(path.sep).join('/');
+      if (excludes.some(re => re.test(relPath) || re.test(`${relPath}/`))) continue;
+      await traverseDir(subdir, depth + 1, realRoot);
     }
   }
   
   try {
-    traverseDir(rootDir);
+    await traverseDir(rootDir, 0, await fs.promises.realpath(rootDir));
   } catch (e) {
-    console.error(`Error traversing directories: ${e.message}`);
+    log.error(`Error traversing directories: ${e.message}`);
   }
   
   return results;
@@ -0,0 +1,102 @@
+// OSV and GitHub Advisory Database ingestion, from recorded advisory documents
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parsers, scan } = require('../scan.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'advisories');
+const OSV_FILE = path.join(FIXTURES, 'osv.json');
+const GHSA_FILE = path.join(FIXTURES, 'ghsa.json');
+
+// Parsers return Sets of affected specs per package
+const toLists = (packages) => Object.fromEntries(Object.entries(packages).map(([pkg, specs]) => [pkg, [...specs]]));
+
+test('OSV: versions and affected ranges of npm packages', () => {
+  assert.deepEqual(toLists(parsers.osv(fs.readFileSync(OSV_FILE), {})), {
+    '@ctrl/tinycolor': ['4.1.1', '4.1.2'],
+    // introduced 0 / fixed pairs, repeated
+    'range-lib': ['>=0.0.0 <1.2.4', '>=2.0.0 <2.0.3'],
+    // last_affected is inclusive; GIT ranges are ignored
+    'last-affected-lib': ['>=3.1.0 <=3.1.5'],
+    // An introduced event without a fix affects every later version
+    'unfixed-lib': ['>=5.0.0'],
+    'ngx-bootstrap': ['18.1.4', '19.0.3']
+  });
+});
+
+test('OSV: withdrawn records and other ecosystems are skipped', () => {
+  const packages = parsers.osv(fs.readFileSync(OSV_FILE), {});
+  assert.equal(packages['withdrawn-pkg'], undefined);
+  // The PyPI entry of the same name does not add its versions to the npm package
+  assert.deepEqual([...packages['ngx-bootstrap']], ['18.1.4', '19.0.3']);
+});
+
+test('OSV: maliciousOnly keeps MAL- records only', () => {
+  assert.deepEqual(Object.keys(parsers.osv(fs.readFileSync(OSV_FILE), { maliciousOnly: true })), ['@ctrl/tinycolor', 'ngx-bootstrap']);
+});
+
+test('OSV: a query response and a single record', () => {
+  const records = JSON.parse(fs.readFileSync(OSV_FILE, 'utf8'));
+  assert.deepEqual(Object.keys(parsers.osv(JSON.stringify({ vulns: records.slice(0, 1) }), {})), ['@ctrl/tinycolor']);
+  assert.deepEqual(Object.keys(parsers.osv(JSON.stringify(records[1]), {})), ['range-lib', 'last-affected-lib', 'unfixed-lib']);
+});
+
+test('GHSA: REST advisories and OSV-format files of the advisory database', () => {
+  assert.deepEqual(toLists(parsers.ghsa(fs.readFileSync(GHSA_FILE, 'utf8'), {})), {
+    // "= 8.1.1" and ">= 11.0.2, < 11.0.4" become semver ranges
+    '@crowdstrike/commitlint': ['8.1.1'],
+    'eslint-config-crowdstrike': ['>=11.0.2 <11.0.4'],
+    'slow-regex': ['<2.0.0'],
+    'rxnt-authentication': ['0.0.3']
+  });
+});
+
+test('GHSA: withdrawn advisories and other ecosystems are skipped', () => {
+  const packages = parsers.ghsa(fs.readFileSync(GHSA_FILE, 'utf8'), {});
+  assert.equal(packages['withdrawn-ghsa-pkg'], undefined);
+  assert.equal(packages.commitlint, undefined);
+});
+
+test('GHSA: maliciousOnly keeps malware advisories (type malware or CWE-506)', () => {
+  assert.deepEqual(Object.keys(parsers.ghsa(fs.readFileSync(GHSA_FILE, 'utf8'), { maliciousOnly: true })),
+    ['@crowdstrike/commitlint', 'eslint-config-crowdstrike', 'rxnt-authentication']);
+});
+
+test('scan() matches a project against OSV and GHSA sources', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-scanner-advisories-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({
+    name: 'advisory-fixture',
+    dependencies: {
+      '@ctrl/tinycolor': '4.1.1',
+      'range-lib': '2.0.1',
+      'withdrawn-pkg': '1.0.0',
+      'slow-regex': '1.0.0',
+      'eslint-config-crowdstrike': '~11.0.0'
+    }
+  }));
+  
+  const report = await scan({
+    dir,
+    cache: path.join(dir, 'advisories.json'),
+    sources: [
+      { name: 'osv', path: OSV_FILE, type: 'osv' },
+      { name: 'ghsa', path: GHSA_FILE, type: 'ghsa', maliciousOnly: true }
+    ],
+    onProgress: () => {}
+  });
+  
+  assert.deepEqual(report.advisories.sources.map(src => [src.name, src.status]), [['osv', 'fetched'], ['ghsa', 'fetched']]);
+  const findings = report.projects[0].findings;
+  assert.deepEqual(findings.map(f => [f.pkg, f.version, f.matchedVersion, f.severity]), [
+    ['@ctrl/tinycolor', '4.1.1', '4.1.1', 'locked'],
+    ['range-lib', '2.0.1', '>=2.0.0 <2.0.3', 'locked'],
+    ['eslint-config-crowdstrike', '~11.0.0', '>=11.0.2 <11.0.4', 'range-could-resolve']
+  ]);
+  assert.deepEqual(findings[0].sources, [pathToFileURL(OSV_FILE).href]);
+  assert.deepEqual(findings[2].sources, [pathToFileURL(GHSA_FILE).href]);
+  assert.equal(report.exitCode, 1);
+});
@@ -0,0 +1,100 @@
+// Lockfile diff (--diff): added and changed packages and the install scripts they bring
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scan } = require('../scan.js');
+
+const OSV_FILE = path.join(__dirname, 'fixtures', 'advisories', 'osv.json');
+
+function makeProject(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-scanner-diff-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  return dir;
+}
+
+const diffScan = (dir, base) => scan({
+  dir,
+  diff: path.join(dir, base),
+  cache: path.join(dir, 'advisories.json'),
+  sources: [{ name: 'osv', path: OSV_FILE, type: 'osv' }],
+  onProgress: () => {}
+});
+
+const npmLock = (packages) => ({
+  name: 'app',
+  lockfileVersion: 3,
+  packages: { '': { name: 'app' }, ...packages }
+});
+
+test('npm lockfile: install scripts of added packages and of new versions of changed ones', async (t) => {
+  const dir = makeProject(t, {
+    'package.json': { name: 'app', dependencies: { esbuild: '^0.19.0', 'left-pad': '^1.3.0', sharp: '^0.33.0' } },
+    'base/package-lock.json': npmLock({
+      'node_modules/esbuild': { version: '0.18.0', hasInstallScript: true },
+      'node_modules/left-pad': { version: '1.2.0' }
+    }),
+    'package-lock.json': npmLock({
+      'node_modules/esbuild': { version: '0.19.0', hasInstallScript: true },
+      'node_modules/left-pad': { version: '1.3.0' },
+      'node_modules/sharp': { version: '0.33.0', hasInstallScript: true }
+    })
+  });
+  
+  const { diff, summary, exitCode } = await diffScan(dir, 'base/package-lock.json');
+  const [lockfile] = diff.lockfiles;
+  assert.deepEqual(lockfile.added, [{ name: 'sharp', version: '0.33.0', installScript: true }]);
+  assert.deepEqual(lockfile.changed, [
+    { name: 'esbuild', from: ['0.18.0'], to: ['0.19.0'], introduced: [{ version: '0.19.0', installScript: true }] },
+    { name: 'left-pad', from: ['1.2.0'], to: ['1.3.0'], introduced: [{ version: '1.3.0', installScript: false }] }
+  ]);
+  assert.deepEqual(lockfile.installScripts, [{ name: 'sharp', version: '0.33.0' }, { name: 'esbuild', version: '0.19.0' }]);
+  // Install scripts count as failing findings, as the exit code does
+  assert.equal(summary.failingFindings, 2);
+  assert.equal(exitCode, 1);
+});
+
+const yarnLock = (version) => [
+  '# yarn lockfile v1',
+  '',
+  `esbuild@^${version}:`,
+  `  version "${version}"`,
+  `  resolved "https://registry.yarnpkg.com/esbuild/-/esbuild-${version}.tgz"`,
+  ''
+].join('\n');
+
+test('yarn.lock: install scripts of new versions are looked up in node_modules', async (t) => {
+  const dir = makeProject(t, {
+    'package.json': { name: 'app', dependencies: { esbuild: '^0.19.0' } },
+    'base/yarn.lock': yarnLock('0.18.0'),
+    'yarn.lock': yarnLock('0.19.0'),
+    'node_modules/esbuild/package.json': { name: 'esbuild', version: '0.19.0', scripts: { postinstall: 'node install.js' } }
+  });
+  
+  const { diff } = await diffScan(dir, 'base/yarn.lock');
+  const [lockfile] = diff.lockfiles;
+  assert.deepEqual(lockfile.changed, [
+    { name: 'esbuild', from: ['0.18.0'], to: ['0.19.0'], introduced: [{ version: '0.19.0', installScript: true }] }
+  ]);
+  assert.deepEqual(lockfile.installScripts, [{ name: 'esbuild', version: '0.19.0' }]);
+});
+
+test('yarn.lock without node_modules: new versions are reported with an unknown install script', async (t) => {
+  const dir = makeProject(t, {
+    'package.json': { name: 'app', dependencies: { esbuild: '^0.19.0' } },
+    'base/yarn.lock': yarnLock('0.18.0'),
+    'yarn.lock': yarnLock('0.19.0')
+  });
+  
+  const { diff, summary, exitCode } = await diffScan(dir, 'base/yarn.lock');
+  const [lockfile] = diff.lockfiles;
+  assert.deepEqual(lockfile.installScripts, []);
+  assert.deepEqual(lockfile.unknownInstallScripts, [{ name: 'esbuild', version: '0.19.0' }]);
+  assert.equal(summary.unknownInstallScripts, 1);
+  assert.equal(exitCode, 0);
+});
@@ -0,0 +1,186 @@
+// HTTP client (fetchURL) against a local server: redirects, compression, retries, size
+// limits and timeouts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const { fetchURL } = require('../scan.js');
+
+// Requests to 127.0.0.1 must not go through a proxy from the environment
+for (const name of ['HTTPS_PROXY', 'HTTP_PROXY', 'https_proxy', 'http_proxy']) delete process.env[name];
+
+// Short backoff so retry tests stay fast
+const FAST = { retryDelay: 1, maxRetryDelay: 5 };
+
+let server;
+let baseURL;
+const sockets = new Set();
+const hits = new Map();
+const routes = new Map();
+
+function route(path, handler) {
+  routes.set(path, handler);
+}
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    hits.set(pathname, (hits.get(pathname) || 0) + 1);
+    const handler = routes.get(pathname);
+    if (handler) {
+      handler(req, res, hits.get(pathname));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  for (const socket of sockets) socket.destroy();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => hits.clear());
+
+route('/text', (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end('hello');
+});
+
+test('fetches a body as text or as a Buffer', async () => {
+  assert.equal(await fetchURL(`${baseURL}/text`), 'hello');
+  const body = await fetchURL(`${baseURL}/text`, 1000, { binary: true });
+  assert.ok(Buffer.isBuffer(body));
+  assert.equal(body.toString(), 'hello');
+});
+
+route('/user-agent', (req, res) => res.end(req.headers['user-agent']));
+
+test('identifies itself with a User-Agent', async () => {
+  assert.match(await fetchURL(`${baseURL}/user-agent`), /^worm-scanner /);
+});
+
+route('/redirect-1', (req, res) => {
+  res.writeHead(302, { Location: '/redirect-2' });
+  res.end();
+});
+route('/redirect-2', (req, res) => {
+  res.writeHead(301, { Location: `${baseURL}/text` });
+  res.end();
+});
+
+test('follows relative and absolute redirects', async () => {
+  assert.equal(await fetchURL(`${baseURL}/redirect-1`), 'hello');
+  assert.equal(hits.get('/text'), 1);
+});
+
+route('/loop', (req, res) => {
+  res.writeHead(307, { Location: '/loop' });
+  res.end();
+});
+
+test('stops after maxRedirects', async () => {
+  await assert.rejects(fetchURL(`${baseURL}/loop`, 1000, { maxRedirects: 3 }), /Too many redirects \(more than 3\)/);
+  assert.equal(hits.get('/loop'), 4);
+});
+
+route('/no-location', (req, res) => {
+  res.writeHead(302);
+  res.end();
+});
+
+test('rejects a redirect without a Location header', async () => {
+  await assert.rejects(fetchURL(`${baseURL}/no-location`), /redirect without a Location header/);
+});
+
+const COMPRESSED = 'compressed '.repeat(100);
+for (const [encoding, compress] of [['gzip', zlib.gzipSync], ['deflate', zlib.deflateSync], ['br', zlib.brotliCompressSync]]) {
+  route(`/${encoding}`, (req, res) => {
+    res.writeHead(200, { 'Content-Encoding': encoding });
+    res.end(compress(COMPRESSED));
+  });
+  
+  test(`decompresses ${encoding} bodies`, async () => {
+    assert.equal(await fetchURL(`${baseURL}/${encoding}`), COMPRESSED);
+  });
+}
+
+route('/unknown-encoding', (req, res) => {
+  res.writeHead(200, { 'Content-Encoding': 'zstd' });
+  res.end('x');
+});
+
+test('rejects unsupported encodings', async () => {
+  await assert.rejects(fetchURL(`${baseURL}/unknown-encoding`), /Unsupported Content-Encoding "zstd"/);
+});
+
+route('/flaky', (req, res, hit) => {
+  if (hit <= 2) {
+    res.writeHead(503, { 'Retry-After': '0' });
+    res.end();
+    return;
+  }
+  res.end('recovered');
+});
+
+test('retries 503 responses', async () => {
+  assert.equal(await fetchURL(`${baseURL}/flaky`, 1000, FAST), 'recovered');
+  assert.equal(hits.get('/flaky'), 3);
+});
+
+route('/down', (req, res) => {
+  res.writeHead(503);
+  res.end();
+});
+
+test('gives up after the configured retries', async () => {
+  await assert.rejects(fetchURL(`${baseURL}/down`, 1000, { ...FAST, retries: 2 }), /HTTP Error: 503/);
+  assert.equal(hits.get('/down'), 3);
+});
+
+test('does not retry client errors', async () => {
+  await assert.rejects(fetchURL(`${baseURL}/missing`, 1000, FAST), /HTTP Error: 404/);
+  assert.equal(hits.get('/missing'), 1);
+});
+
+route('/large', (req, res) => {
+  res.writeHead(200, { 'Content-Length': 2048 });
+  res.end(Buffer.alloc(2048));
+});
+route('/bomb', (req, res) => {
+  // Small on the wire, large once decompressed; no Content-Length to check up front
+  res.writeHead(200, { 'Content-Encoding': 'gzip', 'Transfer-Encoding': 'chunked' });
+  res.end(zlib.gzipSync(Buffer.alloc(1024 * 1024)));
+});
+
+test('refuses bodies larger than maxBytes', async () => {
+  await assert.rejects(fetchURL(`${baseURL}/large`, 1000, { maxBytes: 1024 }), /2048 bytes, more than the 1024 byte limit/);
+  await assert.rejects(fetchURL(`${baseURL}/bomb`, 1000, { maxBytes: 64 * 1024 }), /exceeds the 65536 byte limit/);
+  assert.equal(hits.get('/bomb'), 1);
+});
+
+route('/hang', () => {
+  // Never responds
+});
+
+test('times out a request that does not respond', async () => {
+  await assert.rejects(fetchURL(`${baseURL}/hang`, 100, { ...FAST, retries: 1 }), /Request timeout after 100ms/);
+  assert.equal(hits.get('/hang'), 2);
+});
+
+route('/stall', (req, res) => {
+  // Headers, then nothing
+  res.writeHead(200, { 'Content-Length': 10 });
+  res.write('12345');
+});
+
+test('times out a body that stops arriving', async () => {
+  await assert.rejects(fetchURL(`${baseURL}/stall`, 100, { ...FAST, retries: 0 }), /Request timeout after 100ms/);
+});
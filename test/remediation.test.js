@@ -0,0 +1,52 @@
+// --fix: overrides written to package.json, and the direct dependencies they reference
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scan } = require('../scan.js');
+
+const OSV_FILE = path.join(__dirname, 'fixtures', 'advisories', 'osv.json');
+
+test('npm: ranges that allow the safe version are kept, others are raised', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-scanner-fix-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({
+    name: 'app',
+    dependencies: { '@ctrl/tinycolor': '^4.1.0', 'range-lib': '2.0.1' },
+    peerDependencies: { 'range-lib': '^1.9.0' }
+  }, null, 2));
+  fs.writeFileSync(path.join(dir, 'package-lock.json'), JSON.stringify({
+    name: 'app',
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app' },
+      'node_modules/@ctrl/tinycolor': { version: '4.1.1' },
+      'node_modules/range-lib': { version: '2.0.1' }
+    }
+  }));
+  fs.writeFileSync(path.join(dir, 'packuments.json'), JSON.stringify({
+    '@ctrl/tinycolor': ['4.0.0', '4.1.0', '4.1.1', '4.1.2', '4.1.3'],
+    'range-lib': ['1.9.0', '2.0.0', '2.0.1', '2.0.2', '2.0.3', '2.1.0']
+  }));
+  
+  const report = await scan({
+    dir,
+    fix: true,
+    packuments: path.join(dir, 'packuments.json'),
+    cache: path.join(dir, 'advisories.json'),
+    sources: [{ name: 'osv', path: OSV_FILE, type: 'osv' }],
+    onProgress: () => {}
+  });
+  
+  const [fix] = report.fixes;
+  assert.deepEqual(fix.changes.map(change => [change.pkg, change.to, change.value]), [
+    ['@ctrl/tinycolor', '4.1.0', '$@ctrl/tinycolor'],
+    ['range-lib', '2.0.3', '$range-lib']
+  ]);
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  // ^4.1.0 allows 4.1.0; the exact 2.0.1 becomes 2.0.3 and ^1.9.0 is raised to ^2.0.3
+  assert.deepEqual(manifest.dependencies, { '@ctrl/tinycolor': '^4.1.0', 'range-lib': '2.0.3' });
+  assert.deepEqual(manifest.peerDependencies, { 'range-lib': '^2.0.3' });
+  assert.deepEqual(manifest.overrides, { '@ctrl/tinycolor': '$@ctrl/tinycolor', 'range-lib': '$range-lib' });
+});
@@ -0,0 +1,36 @@
+// Report formats built from a scan of a fixture project
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scan, formatJUnit } = require('../scan.js');
+
+const OSV_FILE = path.join(__dirname, 'fixtures', 'advisories', 'osv.json');
+
+test('JUnit: every finding and placeholder case is counted, passing or not', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-scanner-junit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [project, dependencies] of [['app', { '@ctrl/tinycolor': '4.1.1', 'range-lib': '^2.0.0' }], ['clean', { 'left-pad': '1.3.0' }]]) {
+    fs.mkdirSync(path.join(dir, project));
+    fs.writeFileSync(path.join(dir, project, 'package.json'), JSON.stringify({ name: project, dependencies }));
+  }
+  
+  const report = await scan({
+    dir,
+    recursive: true,
+    workers: 1,
+    // range-could-resolve findings are reported without failing
+    failOn: 'locked',
+    cache: path.join(dir, 'advisories.json'),
+    sources: [{ name: 'osv', path: OSV_FILE, type: 'osv' }],
+    onProgress: () => {}
+  });
+  
+  const xml = formatJUnit(report);
+  const attributes = (tag) => [...xml.matchAll(new RegExp(`<${tag} name="([^"]*)" tests="(\\d+)" failures="(\\d+)"`, 'g'))]
+    .map(([, name, tests, failures]) => [path.basename(name), Number(tests), Number(failures)]);
+  assert.deepEqual(attributes('testsuites'), [['worm-scanner', 3, 1]]);
+  assert.deepEqual(attributes('testsuite'), [['app', 2, 1], ['clean', 1, 0]]);
+  assert.equal(xml.match(/<testcase /g).length, 3);
+});
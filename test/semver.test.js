@@ -0,0 +1,172 @@
+// Table-driven tests for the semver range engine (npm's range grammar)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVersion, satisfiesRange, rangesIntersect, matchesCompromisedSpec } = require('../scan.js');
+
+// [range, version, expected]
+const SATISFIES = {
+  caret: [
+    ['^1.2.3', '1.2.3', true],
+    ['^1.2.3', '1.9.0', true],
+    ['^1.2.3', '2.0.0', false],
+    ['^1.2.3', '1.2.2', false],
+    ['^0.2.3', '0.2.9', true],
+    ['^0.2.3', '0.3.0', false],
+    ['^0.0.3', '0.0.3', true],
+    ['^0.0.3', '0.0.4', false],
+    ['^1.2', '1.2.0', true],
+    ['^1.2', '1.1.9', false],
+    ['^0.x', '0.9.9', true],
+    ['^0.x', '1.0.0', false],
+    ['^1.x', '1.99.0', true]
+  ],
+  tilde: [
+    ['~1.2.3', '1.2.3', true],
+    ['~1.2.3', '1.2.99', true],
+    ['~1.2.3', '1.3.0', false],
+    ['~1.2', '1.2.0', true],
+    ['~1.2', '1.3.0', false],
+    ['~1', '1.9.9', true],
+    ['~1', '2.0.0', false],
+    ['~0.2.3', '0.2.4', true],
+    ['~>1.2.3', '1.2.5', true]
+  ],
+  'x-ranges': [
+    ['*', '3.4.5', true],
+    ['', '1.0.0', true],
+    ['x', '0.0.1', true],
+    ['1.x', '1.5.0', true],
+    ['1.x', '2.0.0', false],
+    ['1.2.x', '1.2.7', true],
+    ['1.2.x', '1.3.0', false],
+    ['1.2.*', '1.2.0', true],
+    ['1', '1.9.9', true],
+    ['1.2', '1.3.0', false],
+    ['>1', '2.0.0', true],
+    ['>1', '1.9.9', false],
+    ['<=1.2', '1.2.9', true],
+    ['<=1.2', '1.3.0', false],
+    ['<1.2', '1.1.9', true],
+    ['<1.2', '1.2.0', false],
+    ['>*', '1.0.0', false]
+  ],
+  hyphen: [
+    ['1.2.3 - 2.3.4', '1.2.3', true],
+    ['1.2.3 - 2.3.4', '2.3.4', true],
+    ['1.2.3 - 2.3.4', '2.3.5', false],
+    ['1.2 - 2.3.4', '1.2.0', true],
+    ['1.2.3 - 2.3', '2.3.9', true],
+    ['1.2.3 - 2.3', '2.4.0', false],
+    ['1.2.3 - 2', '2.9.9', true],
+    ['1.2.3 - 2', '3.0.0', false]
+  ],
+  'unions (||)': [
+    ['1.2.3 || 2.0.0', '2.0.0', true],
+    ['1.2.3 || 2.0.0', '1.2.4', false],
+    ['<1.0.0 || >=2.0.0', '0.9.0', true],
+    ['<1.0.0 || >=2.0.0', '1.5.0', false],
+    ['^1.0.0 || ^3.0.0', '3.1.0', true],
+    ['1.x || >=2.5.0 <3', '2.7.0', true],
+    ['1.x || >=2.5.0 <3', '2.4.0', false]
+  ],
+  comparators: [
+    ['>=1.2.3 <2.0.0', '1.5.0', true],
+    ['>= 1.2.3 < 2.0.0', '2.0.0', false],
+    ['=1.2.3', '1.2.3', true],
+    ['v1.2.3', '1.2.3', true],
+    ['>1.2.3', '1.2.3', false],
+    ['1.2.3', '1.2.3+build.5', true]
+  ],
+  'prerelease gating': [
+    ['^1.2.3', '1.3.0-beta.1', false],
+    ['^1.2.3-beta.1', '1.2.3-beta.2', true],
+    ['^1.2.3-beta.1', '1.2.4-beta.1', false],
+    ['>=1.2.3-alpha', '1.2.3-beta', true],
+    ['>=1.2.3-alpha', '1.2.4-alpha', false],
+    ['*', '1.0.0-rc.1', false],
+    ['~1.2.3-rc.1', '1.2.3', true],
+    ['1.2.3-rc.1', '1.2.3-rc.1', true],
+    ['<2.0.0', '2.0.0-rc.1', false]
+  ],
+  'unparseable specs never match': [
+    ['latest', '9.9.9', true],
+    ['next', '1.0.0', false],
+    ['file:../lib', '1.0.0', false],
+    ['git+https://github.com/a/b.git', '1.0.0', false],
+    ['npm:other@^1.0.0', '1.0.0', false],
+    ['^1.2.3', 'not-a-version', false]
+  ]
+};
+
+for (const [group, cases] of Object.entries(SATISFIES)) {
+  test(`satisfiesRange: ${group}`, () => {
+    for (const [range, version, expected] of cases) {
+      assert.equal(satisfiesRange(range, version), expected, `${version} ${expected ? 'satisfies' : 'does not satisfy'} "${range}"`);
+    }
+  });
+}
+
+test('satisfiesRange: includePrerelease lets any prerelease inside the bounds match', () => {
+  for (const [range, version, expected] of [
+    ['^1.2.3', '1.3.0-beta.1', true],
+    ['*', '1.0.0-rc.1', true],
+    ['<2.0.0', '2.0.0-rc.1', true],
+    ['^1.2.3', '2.0.0-rc.1', false],
+    ['>=1.0.0 <1.0.5', '1.0.4-0', true]
+  ]) {
+    assert.equal(satisfiesRange(range, version, { includePrerelease: true }), expected, `${version} in "${range}"`);
+  }
+});
+
+test('parseVersion: precedence fields and invalid versions', () => {
+  assert.deepEqual(parseVersion('1.2.3-beta.11+sha.1'), { major: 1, minor: 2, patch: 3, prerelease: ['beta', 11] });
+  assert.deepEqual(parseVersion('=v0.0.1'), { major: 0, minor: 0, patch: 1, prerelease: [] });
+  for (const invalid of ['1.2', '01.2.3', '1.2.3-01', '^1.2.3', 'latest', '']) {
+    assert.equal(parseVersion(invalid), null, invalid);
+  }
+});
+
+// [rangeA, rangeB, expected]
+const INTERSECTS = [
+  ['^1.2.0', '~1.4.0', true],
+  ['^1.2.0', '^2.0.0', false],
+  ['>=1.0.0 <1.5.0', '>=1.5.0', false],
+  ['>=1.0.0 <=1.5.0', '>=1.5.0', true],
+  ['>1.5.0', '<=1.5.0', false],
+  ['1.x', '1.2.3 - 1.2.5', true],
+  ['<1.0.0 || >=3.0.0', '^2.0.0', false],
+  ['<1.0.0 || >=3.0.0', '^3.1.0', true],
+  ['*', '^5.0.0', true],
+  ['1.2.3', '>=1.2.0 <1.3.0', true],
+  ['1.2.3', '>1.2.3', false],
+  ['^0.2.0', '^0.3.0', false],
+  ['latest', '^1.0.0', true],
+  ['file:../x', '*', false]
+];
+
+test('rangesIntersect', () => {
+  for (const [a, b, expected] of INTERSECTS) {
+    assert.equal(rangesIntersect(a, b), expected, `"${a}" ${expected ? 'overlaps' : 'does not overlap'} "${b}"`);
+    assert.equal(rangesIntersect(b, a), expected, `"${b}" ${expected ? 'overlaps' : 'does not overlap'} "${a}"`);
+  }
+});
+
+// [declared or locked spec, compromised entry, expected]
+const COMPROMISED = [
+  ['4.1.1', '4.1.1', true],
+  ['^4.0.0', '4.1.1', true],
+  ['~4.0.0', '4.1.1', false],
+  ['4.1.2', '>=4.1.1 <4.1.3', true],
+  ['4.1.3', '>=4.1.1 <4.1.3', false],
+  ['4.1.2-rc.1', '>=4.1.1 <4.1.3', true],
+  ['^4.1.0', '>=4.1.1 <4.1.3', true],
+  ['^4.2.0', '>=4.1.1 <4.1.3', false],
+  ['latest', '4.1.1', true],
+  ['file:./vendor', '4.1.1', false]
+];
+
+test('matchesCompromisedSpec', () => {
+  for (const [spec, compromisedSpec, expected] of COMPROMISED) {
+    assert.equal(matchesCompromisedSpec(spec, compromisedSpec), expected, `"${spec}" against ${compromisedSpec}`);
+  }
+});
@@ -0,0 +1,62 @@
+// --triage: artefacts the worm leaves in git repositories
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scan, formatJUnit } = require('../scan.js');
+
+const OSV_FILE = path.join(__dirname, 'fixtures', 'advisories', 'osv.json');
+
+// A repository where a worm workflow was committed 200 days ago and deleted again
+function makeRepository(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-scanner-triage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const date = new Date(Date.now() - 200 * 24 * 60 * 60 * 1000).toISOString();
+  const git = (...args) => execFileSync('git', args, {
+    cwd: dir,
+    stdio: 'ignore',
+    env: { ...process.env, GIT_AUTHOR_NAME: 'dev', GIT_AUTHOR_EMAIL: 'dev@example.com', GIT_COMMITTER_NAME: 'dev', GIT_COMMITTER_EMAIL: 'dev@example.com', GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+  });
+  git('init', '-q');
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', dependencies: {} }));
+  fs.mkdirSync(path.join(dir, '.github', 'workflows'), { recursive: true });
+  fs.writeFileSync(path.join(dir, '.github', 'workflows', 'shai-hulud-workflow.yml'), 'on: push\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'Add workflow');
+  git('rm', '-q', '-r', '.github');
+  git('commit', '-q', '-m', 'Remove workflow');
+  return dir;
+}
+
+const triageScan = (dir, since) => scan({
+  dir,
+  triage: true,
+  since,
+  cache: path.join(dir, '.git', 'advisories.json'),
+  sources: [{ name: 'osv', path: OSV_FILE, type: 'osv' }],
+  onProgress: () => {}
+});
+
+test('workflows added by commits are looked for in the last 90 days, or since --since', async (t) => {
+  const dir = makeRepository(t);
+  
+  const recent = await triageScan(dir, null);
+  assert.deepEqual(recent.triage.repositories.map(repo => repo.findings), [[]]);
+  
+  const since = await triageScan(dir, new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+  const [repo] = since.triage.repositories;
+  assert.deepEqual(repo.findings.map(f => [f.kind, f.file]), [['commit', '.github/workflows/shai-hulud-workflow.yml']]);
+});
+
+test('JUnit reports repository artefacts in a triage test suite', async (t) => {
+  const dir = makeRepository(t);
+  const report = await triageScan(dir, '2000-01-01');
+  
+  const xml = formatJUnit(report);
+  assert.match(xml, /<testsuites name="worm-scanner" tests="\d+" failures="1"/);
+  assert.match(xml, /<testsuite name="triage" tests="1" failures="1">/);
+  assert.match(xml, /<failure type="ioc" message="commit [0-9a-f]{7} \([^)]*\) added \.github\/workflows\/shai-hulud-workflow\.yml: /);
+  assert.equal(report.exitCode, 1);
+});